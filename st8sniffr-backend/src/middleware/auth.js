@@ -1,16 +1,38 @@
 import jwt from 'jsonwebtoken';
 import { query } from '../utils/db.js';
+import { createSession, isSessionActive, touchSession } from '../utils/sessions.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
 
-export const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
+export const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Start a new session and return a short-lived access token plus its refresh token.
+// Anonymous accounts get a shorter-lived session.
+export const issueTokens = async (userId, req, accountType = 'registered') => {
+  const { sessionId, refreshToken } = await createSession(userId, req, accountType);
+  return { token: generateToken(userId, sessionId), refreshToken };
 };
 
 export const verifyToken = (token) => {
   return jwt.verify(token, JWT_SECRET);
 };
 
+// Short-lived signed tokens for a single purpose (e.g. email verification links)
+export const generatePurposeToken = (purpose, payload, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, JWT_SECRET, { expiresIn });
+};
+
+export const verifyPurposeToken = (purpose, token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+  return decoded;
+};
+
 export const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -21,10 +43,15 @@ export const authenticate = async (req, res, next) => {
 
     const token = authHeader.substring(7);
     const decoded = verifyToken(token);
+
+    // Reject tokens whose session was revoked (logout, password change, etc.)
+    if (!(await isSessionActive(decoded.sessionId, decoded.userId))) {
+      return res.status(401).json({ error: 'Session revoked' });
+    }
     
     // Get user from database
     const result = await query(
-      'SELECT id, email, username, age, bio, location_lat, location_lng, account_type, subscription_status, is_subscribed, is_nsfw, is_online, created_at FROM users WHERE id = $1',
+      'SELECT id, email, email_verified, username, age, bio, location_lat, location_lng, location_privacy, account_type, subscription_status, is_subscribed, is_nsfw, is_online, is_incognito, deletion_scheduled_at, created_at FROM users WHERE id = $1',
       [decoded.userId]
     );
 
@@ -33,6 +60,9 @@ export const authenticate = async (req, res, next) => {
     }
 
     req.user = result.rows[0];
+    req.sessionId = decoded.sessionId;
+
+    touchSession(decoded.sessionId).catch(error => console.error('Touch session error:', error));
     next();
   } catch (error) {
     console.error('Auth error:', error);
@@ -58,16 +88,34 @@ export const optionalAuth = async (req, res, next) => {
 
     const token = authHeader.substring(7);
     const decoded = verifyToken(token);
+
+    if (!(await isSessionActive(decoded.sessionId, decoded.userId))) {
+      req.user = null;
+      return next();
+    }
     
     const result = await query(
-      'SELECT id, email, username, age, bio, location_lat, location_lng, account_type, subscription_status, is_subscribed, is_nsfw, is_online, created_at FROM users WHERE id = $1',
+      'SELECT id, email, email_verified, username, age, bio, location_lat, location_lng, location_privacy, account_type, subscription_status, is_subscribed, is_nsfw, is_online, is_incognito, deletion_scheduled_at, created_at FROM users WHERE id = $1',
       [decoded.userId]
     );
 
     req.user = result.rows[0] || null;
+    req.sessionId = req.user ? decoded.sessionId : null;
     next();
   } catch (error) {
     req.user = null;
     next();
   }
 };
+
+// Force-disconnect any live sockets belonging to the given sessions
+export const disconnectSessions = async (io, userId, sessionIds) => {
+  if (!io || sessionIds.length === 0) {
+    return;
+  }
+
+  const sockets = await io.in(`user:${userId}`).fetchSockets();
+  sockets
+    .filter(socket => sessionIds.includes(socket.data.sessionId))
+    .forEach(socket => socket.disconnect(true));
+};
@@ -0,0 +1,123 @@
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || '5');
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+const LOCKOUT_HISTORY_MS = 24 * 60 * 60 * 1000;
+
+export const sendTooManyRequests = (res, retryAfterMs, message) => {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many requests',
+    message,
+    retryAfter
+  });
+};
+
+// Fixed-window limiter. keyGenerator returns the bucket for a request (IP by default);
+// returning null skips limiting for that request.
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests, please try again later'
+}) => {
+  return async (req, res, next) => {
+    try {
+      const key = keyGenerator(req);
+      if (!key) {
+        return next();
+      }
+
+      const store = await getRateLimitStore();
+      const { count, resetMs } = await store.increment(`${name}:${key}`, windowMs);
+
+      if (count > max) {
+        return sendTooManyRequests(res, resetMs, message);
+      }
+
+      next();
+    } catch (error) {
+      // Fail open: a broken limiter backend shouldn't take auth down with it
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+// Progressive lockout for repeated failed logins on one account.
+// Each lockout within 24 hours doubles the previous one, up to an hour.
+// Like rateLimit(), these fail open: a broken store means no lockout rather than no login.
+
+export const getLoginLockout = async (account) => {
+  try {
+    const store = await getRateLimitStore();
+    return await store.ttl(`login-lock:${account}`);
+  } catch (error) {
+    console.error('Login lockout error:', error);
+    return 0;
+  }
+};
+
+export const recordLoginFailure = async (account) => {
+  try {
+    const store = await getRateLimitStore();
+    const { count } = await store.increment(`login-fail:${account}`, LOGIN_FAILURE_WINDOW_MS);
+
+    if (count < LOGIN_MAX_FAILURES) {
+      return 0;
+    }
+
+    const { count: lockouts } = await store.increment(`login-lockouts:${account}`, LOCKOUT_HISTORY_MS);
+    const lockoutMs = Math.min(LOCKOUT_BASE_MS * 2 ** (lockouts - 1), LOCKOUT_MAX_MS);
+
+    await store.set(`login-lock:${account}`, lockoutMs);
+    await store.del(`login-fail:${account}`);
+
+    return lockoutMs;
+  } catch (error) {
+    console.error('Login failure tracking error:', error);
+    return 0;
+  }
+};
+
+export const clearLoginFailures = async (account) => {
+  try {
+    const store = await getRateLimitStore();
+    await store.del(`login-fail:${account}`);
+  } catch (error) {
+    console.error('Login failure reset error:', error);
+  }
+};
+
+// Per-IP limits for the auth endpoints
+export const loginIpLimiter = rateLimit({
+  name: 'login-ip',
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_IP_LIMIT || '30'),
+  message: 'Too many login attempts from this IP, please try again later'
+});
+
+export const registerLimiter = rateLimit({
+  name: 'register-ip',
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.REGISTER_IP_LIMIT || '10'),
+  message: 'Too many accounts created from this IP, please try again later'
+});
+
+export const anonymousLimiter = rateLimit({
+  name: 'anonymous-ip',
+  windowMs: 24 * 60 * 60 * 1000,
+  max: parseInt(process.env.ANONYMOUS_IP_LIMIT || '10'),
+  message: 'Too many anonymous sessions created from this IP, please try again later'
+});
+
+export const passwordResetLimiter = rateLimit({
+  name: 'password-reset-ip',
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.PASSWORD_RESET_IP_LIMIT || '5'),
+  message: 'Too many password reset requests, please try again later'
+});
@@ -1,13 +1,100 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import { body, validationResult } from 'express-validator';
-import { query } from '../utils/db.js';
-import { generateToken, authenticate } from '../middleware/auth.js';
+import { body, param, validationResult } from 'express-validator';
+import { query, getClient } from '../utils/db.js';
+import {
+  issueTokens,
+  generateToken,
+  verifyToken,
+  generatePurposeToken,
+  verifyPurposeToken,
+  authenticate,
+  disconnectSessions
+} from '../middleware/auth.js';
+import { rotateSession, listSessions, isSessionActive, revokeSession, revokeAllSessions } from '../utils/sessions.js';
+import { generateSecureToken, hashToken } from '../utils/tokens.js';
+import { sendMail } from '../utils/mailer.js';
+import {
+  loginIpLimiter,
+  registerLimiter,
+  anonymousLimiter,
+  passwordResetLimiter,
+  sendTooManyRequests,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+} from '../middleware/rateLimit.js';
+import { ACCOUNT_DELETION_GRACE_DAYS } from '../utils/accountDeletion.js';
+import { normalizeTags } from '../utils/discoveryFilters.js';
+import { MAX_PROFILE_TAGS, setUserTags, getUserTags } from '../utils/tags.js';
+import { LOCATION_PRIVACY_MODES } from '../utils/locationPrivacy.js';
+import {
+  PROFILE_FIELD_COLUMNS,
+  profileFieldValidators,
+  profileFieldUpdates,
+  publicProfileFields
+} from '../utils/profileFields.js';
+import { disconnectPresence, clearPresence } from '../utils/presence.js';
+import { generateTotpSecret, buildOtpauthUri, verifyTotp, createRecoveryCodes, verifySecondFactor } from '../utils/twoFactor.js';
 
 const router = express.Router();
 
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || '24h';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Email a signed, expiring verification link. The email is part of the token so
+// changing the address invalidates older links.
+const sendVerificationEmail = async (user) => {
+  const verificationToken = generatePurposeToken(
+    'email-verification',
+    { userId: user.id, email: user.email },
+    EMAIL_VERIFICATION_TTL
+  );
+  const verifyUrl = `${FRONTEND_URL}/verify-email?token=${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your St8sniffr email',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening the link below.\n\n${verifyUrl}`
+  });
+};
+
+// Issue a fresh reset token (older links stop working) and email it
+const sendPasswordResetEmail = async (user) => {
+  const resetToken = generateSecureToken();
+
+  await query(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+    [user.id]
+  );
+
+  await query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+    [user.id, hashToken(resetToken), PASSWORD_RESET_TTL_MINUTES]
+  );
+
+  const resetUrl = `${FRONTEND_URL}/reset-password?token=${resetToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your St8sniffr password',
+    text: `Hi ${user.username},\n\nUse the link below to reset your password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.\n\n${resetUrl}\n\nIf you didn't ask for this, you can ignore this email.`
+  });
+};
+
+// Per-pair relations moved from an anonymous account when it's merged:
+// [table, first user column, second user column, other columns to copy]
+const MERGED_RELATIONS = [
+  ['blocks', 'blocker_id', 'blocked_id', 'created_at'],
+  ['favorites', 'user_id', 'favorite_user_id', 'created_at'],
+  ['taps', 'sender_id', 'receiver_id', 'kind, seen, created_at']
+];
+
 // Register
-router.post('/register', [
+router.post('/register', registerLimiter, [
   body('username').trim().isLength({ min: 3, max: 30 }).withMessage('Username must be 3-30 characters'),
   body('age').isInt({ min: 18, max: 120 }).withMessage('Age must be 18-120'),
   body('accountType').isIn(['registered', 'anonymous']).withMessage('Invalid account type'),
@@ -46,12 +133,16 @@ router.post('/register', [
     const result = await query(
       `INSERT INTO users (username, age, bio, account_type, email, password_hash) 
        VALUES ($1, $2, $3, $4, $5, $6) 
-       RETURNING id, username, age, bio, account_type, email, subscription_status, is_subscribed, created_at`,
+       RETURNING id, username, age, bio, account_type, email, email_verified, subscription_status, is_subscribed, created_at`,
       [username, age, bio || '', accountType, email || null, passwordHash]
     );
 
     const user = result.rows[0];
-    const token = generateToken(user.id);
+    const { token, refreshToken } = await issueTokens(user.id, req, user.account_type);
+
+    if (user.email) {
+      sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+    }
 
     res.status(201).json({
       message: 'User created successfully',
@@ -62,11 +153,13 @@ router.post('/register', [
         bio: user.bio,
         accountType: user.account_type,
         email: user.email,
+        emailVerified: user.email_verified,
         subscriptionStatus: user.subscription_status,
         isSubscribed: user.is_subscribed,
         createdAt: user.created_at
       },
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -74,8 +167,38 @@ router.post('/register', [
   }
 });
 
+const LOGIN_USER_COLUMNS = 'id, username, age, bio, account_type, email, email_verified, subscription_status, is_subscribed, is_nsfw, totp_enabled, created_at';
+
+// Start a session and send the login response. Online status comes from presence
+// (a socket connection or POST /api/users/online), not from logging in.
+const completeLogin = async (user, req, res) => {
+  await query('UPDATE users SET last_active = NOW() WHERE id = $1', [user.id]);
+
+  const { token, refreshToken } = await issueTokens(user.id, req, user.account_type);
+
+  res.json({
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      username: user.username,
+      age: user.age,
+      bio: user.bio,
+      accountType: user.account_type,
+      email: user.email,
+      emailVerified: user.email_verified,
+      subscriptionStatus: user.subscription_status,
+      isSubscribed: user.is_subscribed,
+      isNSFW: user.is_nsfw,
+      twoFactorEnabled: user.totp_enabled,
+      createdAt: user.created_at
+    },
+    token,
+    refreshToken
+  });
+};
+
 // Login
-router.post('/login', [
+router.post('/login', loginIpLimiter, [
   body('email').isEmail().withMessage('Invalid email'),
   body('password').exists().withMessage('Password required'),
 ], async (req, res) => {
@@ -86,14 +209,22 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
+    const account = `email:${email.toLowerCase()}`;
+
+    // Progressive lockout after repeated failures on this account
+    const lockoutMs = await getLoginLockout(account);
+    if (lockoutMs > 0) {
+      return sendTooManyRequests(res, lockoutMs, 'Too many failed login attempts, please try again later');
+    }
 
     // Find user
     const result = await query(
-      'SELECT id, username, age, bio, account_type, email, password_hash, subscription_status, is_subscribed, is_nsfw, created_at FROM users WHERE email = $1',
+      `SELECT ${LOGIN_USER_COLUMNS}, password_hash FROM users WHERE email = $1`,
       [email]
     );
 
     if (result.rows.length === 0) {
+      await recordLoginFailure(account);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -101,43 +232,81 @@ router.post('/login', [
 
     // Check password
     if (!user.password_hash) {
+      await recordLoginFailure(account);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     if (!isValidPassword) {
+      await recordLoginFailure(account);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Update online status
-    await query('UPDATE users SET is_online = true, last_active = NOW() WHERE id = $1', [user.id]);
+    await clearLoginFailures(account);
 
-    const token = generateToken(user.id);
+    // With 2FA on, the password only earns a short-lived challenge token
+    if (user.totp_enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generatePurposeToken('2fa-challenge', { userId: user.id }, TWO_FACTOR_CHALLENGE_TTL)
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        username: user.username,
-        age: user.age,
-        bio: user.bio,
-        accountType: user.account_type,
-        email: user.email,
-        subscriptionStatus: user.subscription_status,
-        isSubscribed: user.is_subscribed,
-        isNSFW: user.is_nsfw,
-        createdAt: user.created_at
-      },
-      token
-    });
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
+// Login step two: exchange a 2FA challenge token and code for a session
+router.post('/login/2fa', loginIpLimiter, [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token required'),
+  body('code').isString().notEmpty().withMessage('Code required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken('2fa-challenge', req.body.challengeToken);
+    } catch (tokenError) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    const account = `user:${decoded.userId}`;
+
+    const lockoutMs = await getLoginLockout(account);
+    if (lockoutMs > 0) {
+      return sendTooManyRequests(res, lockoutMs, 'Too many failed login attempts, please try again later');
+    }
+
+    const isValidCode = await verifySecondFactor(decoded.userId, req.body.code);
+    if (!isValidCode) {
+      await recordLoginFailure(account);
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    await clearLoginFailures(account);
+
+    const result = await query(`SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE id = $1`, [decoded.userId]);
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    await completeLogin(result.rows[0], req, res);
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
 // Anonymous login (for demo purposes)
-router.post('/anonymous', async (req, res) => {
+router.post('/anonymous', anonymousLimiter, async (req, res) => {
   try {
     // Create anonymous user
     const username = `anon_${Date.now()}`;
@@ -149,7 +318,7 @@ router.post('/anonymous', async (req, res) => {
     );
 
     const user = result.rows[0];
-    const token = generateToken(user.id);
+    const { token, refreshToken } = await issueTokens(user.id, req, user.account_type);
 
     res.status(201).json({
       message: 'Anonymous session created',
@@ -163,7 +332,8 @@ router.post('/anonymous', async (req, res) => {
         isSubscribed: user.is_subscribed,
         createdAt: user.created_at
       },
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Anonymous login error:', error);
@@ -174,7 +344,14 @@ router.post('/anonymous', async (req, res) => {
 // Get current user
 router.get('/me', authenticate, async (req, res) => {
   try {
-    res.json({ user: req.user });
+    const fields = await query(`SELECT ${PROFILE_FIELD_COLUMNS} FROM users WHERE id = $1`, [req.user.id]);
+
+    res.json({
+      user: {
+        ...req.user,
+        profileFields: publicProfileFields(fields.rows[0], { isSelf: true })
+      }
+    });
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({ error: 'Failed to get user' });
@@ -186,6 +363,12 @@ router.put('/me', authenticate, [
   body('username').optional().trim().isLength({ min: 3, max: 30 }),
   body('bio').optional().trim().isLength({ max: 500 }),
   body('age').optional().isInt({ min: 18, max: 120 }),
+  body('tags').optional().isArray({ max: MAX_PROFILE_TAGS }).withMessage(`Up to ${MAX_PROFILE_TAGS} tags`)
+    .customSanitizer(normalizeTags)
+    .custom(tags => tags.every(tag => tag.length <= 30)).withMessage('Tags must be at most 30 characters'),
+  body('locationPrivacy').optional().isIn(LOCATION_PRIVACY_MODES).withMessage(`Location privacy must be one of: ${LOCATION_PRIVACY_MODES.join(', ')}`),
+  body('incognito').optional().isBoolean().withMessage('Incognito must be a boolean').toBoolean(),
+  ...profileFieldValidators,
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -193,7 +376,15 @@ router.put('/me', authenticate, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { username, bio, age } = req.body;
+    const { username, bio, age, tags, locationPrivacy, incognito } = req.body;
+
+    if (incognito && !req.user.is_subscribed) {
+      return res.status(403).json({
+        error: 'Subscription required',
+        message: 'Subscribe to browse in incognito mode'
+      });
+    }
+
     const updates = [];
     const values = [];
     let paramCount = 1;
@@ -213,22 +404,61 @@ router.put('/me', authenticate, [
       values.push(age);
       paramCount++;
     }
+    if (locationPrivacy) {
+      updates.push(`location_privacy = $${paramCount}`);
+      values.push(locationPrivacy);
+      paramCount++;
+    }
+    if (incognito !== undefined) {
+      updates.push(`is_incognito = $${paramCount}`);
+      values.push(incognito);
+      paramCount++;
+    }
+    for (const [column, value] of profileFieldUpdates(req.body)) {
+      updates.push(`${column} = $${paramCount}`);
+      values.push(value);
+      paramCount++;
+    }
+    // Merged into the existing settings, so only the fields sent change
+    if (req.body.fieldVisibility) {
+      updates.push(`profile_field_visibility = COALESCE(profile_field_visibility, '{}') || $${paramCount}::jsonb`);
+      values.push(JSON.stringify(req.body.fieldVisibility));
+      paramCount++;
+    }
 
-    if (updates.length === 0) {
+    if (updates.length === 0 && tags === undefined) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
-    values.push(req.user.id);
+    if (tags !== undefined) {
+      await setUserTags(req.user.id, tags);
+    }
 
-    const result = await query(
-      `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramCount} 
-       RETURNING id, username, age, bio, account_type, email, subscription_status, is_subscribed`,
-      values
-    );
+    let result;
+    if (updates.length > 0) {
+      values.push(req.user.id);
+
+      result = await query(
+        `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramCount} 
+         RETURNING id, username, age, bio, location_privacy, is_incognito, account_type, email, subscription_status, is_subscribed`,
+        values
+      );
+    } else {
+      result = await query(
+        'SELECT id, username, age, bio, location_privacy, is_incognito, account_type, email, subscription_status, is_subscribed FROM users WHERE id = $1',
+        [req.user.id]
+      );
+    }
+
+    const fields = await query(`SELECT ${PROFILE_FIELD_COLUMNS} FROM users WHERE id = $1`, [req.user.id]);
 
     res.json({
       message: 'Profile updated',
-      user: result.rows[0]
+      user: {
+        ...result.rows[0],
+        tags: await getUserTags(req.user.id),
+        profileFields: publicProfileFields(fields.rows[0], { isSelf: true })
+      }
     });
   } catch (error) {
     console.error('Update profile error:', error);
@@ -236,10 +466,88 @@ router.put('/me', authenticate, [
   }
 });
 
-// Logout
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', [
+  body('refreshToken').isString().withMessage('Refresh token required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await rotateSession(req.body.refreshToken, req);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json({
+      token: generateToken(session.userId, session.sessionId),
+      refreshToken: session.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Schedule account deletion (can be undone during the grace period)
+router.delete('/me', authenticate, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+
+    if (req.user.deletion_scheduled_at) {
+      return res.status(400).json({ error: 'Account deletion already scheduled' });
+    }
+
+    // Registered accounts must confirm with their password
+    const result = await query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+    const passwordHash = result.rows[0].password_hash;
+
+    if (passwordHash && !(password && await bcrypt.compare(password, passwordHash))) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const updated = await query(
+      `UPDATE users SET deletion_scheduled_at = NOW() + make_interval(days => $1), is_online = false
+       WHERE id = $2
+       RETURNING deletion_scheduled_at`,
+      [ACCOUNT_DELETION_GRACE_DAYS, req.user.id]
+    );
+
+    res.json({
+      message: `Account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days`,
+      deletionScheduledAt: updated.rows[0].deletion_scheduled_at
+    });
+  } catch (error) {
+    console.error('Schedule deletion error:', error);
+    res.status(500).json({ error: 'Failed to schedule account deletion' });
+  }
+});
+
+// Undo a scheduled account deletion
+router.post('/me/restore', authenticate, async (req, res) => {
+  try {
+    if (!req.user.deletion_scheduled_at) {
+      return res.status(400).json({ error: 'Account is not scheduled for deletion' });
+    }
+
+    await query('UPDATE users SET deletion_scheduled_at = NULL WHERE id = $1', [req.user.id]);
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Restore account error:', error);
+    res.status(500).json({ error: 'Failed to cancel account deletion' });
+  }
+});
+
+// Logout (revokes the current session)
 router.post('/logout', authenticate, async (req, res) => {
   try {
-    await query('UPDATE users SET is_online = false WHERE id = $1', [req.user.id]);
+    await revokeSession(req.sessionId);
+    await disconnectSessions(req.app.get('io'), req.user.id, [req.sessionId]);
+    // The user stays online if another device is still connected
+    await disconnectPresence(req.app.get('io'), req.user.id, `rest:${req.sessionId}`);
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -247,6 +555,433 @@ router.post('/logout', authenticate, async (req, res) => {
   }
 });
 
+// Logout everywhere (revokes every session for this user)
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const revokedIds = await revokeAllSessions(req.user.id);
+    await disconnectSessions(req.app.get('io'), req.user.id, revokedIds);
+    await clearPresence(req.app.get('io'), req.user.id);
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// List active sessions (one per signed-in device)
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session.id,
+        device: session.device,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        isCurrent: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+// Revoke a single session and disconnect its live socket
+router.delete('/sessions/:id', authenticate, [
+  param('id').isUUID().withMessage('Invalid session id'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const revoked = await revokeSession(id, req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await disconnectSessions(req.app.get('io'), req.user.id, [id]);
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Change password (revokes every other session)
+router.post('/change-password', authenticate, [
+  body('currentPassword').exists().withMessage('Current password required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const result = await query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+    const passwordHash = result.rows[0]?.password_hash;
+
+    if (!passwordHash || !(await bcrypt.compare(currentPassword, passwordHash))) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const newPasswordHash = await bcrypt.hash(newPassword, 10);
+    await query('UPDATE users SET password_hash = $1 WHERE id = $2', [newPasswordHash, req.user.id]);
+
+    const revokedIds = await revokeAllSessions(req.user.id, req.sessionId);
+    await disconnectSessions(req.app.get('io'), req.user.id, revokedIds);
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Request a password reset email
+router.post('/forgot-password', passwordResetLimiter, [
+  body('email').isEmail().withMessage('Invalid email'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+
+    // Same response whether or not the account exists, so emails can't be enumerated
+    const response = { message: 'If an account exists for that email, a reset link has been sent' };
+
+    const result = await query(
+      'SELECT id, username, email FROM users WHERE email = $1 AND password_hash IS NOT NULL',
+      [email]
+    );
+
+    res.json(response);
+
+    // Sent after responding, so a known email takes as long (and fails the same way) as an unknown one
+    if (result.rows.length > 0) {
+      sendPasswordResetEmail(result.rows[0])
+        .catch(error => console.error('Password reset email error:', error));
+    }
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+// Reset password using an emailed token
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    // Consume the token atomically so it can only be used once
+    const result = await query(
+      `UPDATE password_reset_tokens SET used_at = NOW()
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING user_id`,
+      [hashToken(token)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const userId = result.rows[0].user_id;
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    await query('UPDATE users SET password_hash = $1 WHERE id = $2', [passwordHash, userId]);
+
+    // Sign out everywhere since the old password may have been compromised
+    const revokedIds = await revokeAllSessions(userId);
+    await disconnectSessions(req.app.get('io'), userId, revokedIds);
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Confirm an email address from a verification link
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken('email-verification', req.body.token);
+    } catch (tokenError) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    const result = await query(
+      `UPDATE users SET email_verified = true, email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = $1 AND email = $2
+       RETURNING id`,
+      [decoded.userId, decoded.email]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Resend the verification email
+router.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    if (!req.user.email) {
+      return res.status(400).json({ error: 'No email on this account' });
+    }
+
+    if (req.user.email_verified) {
+      return res.status(400).json({ error: 'Email already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Start 2FA enrollment: generate a secret the user adds to their authenticator app
+router.post('/2fa/setup', authenticate, async (req, res) => {
+  try {
+    if (req.user.account_type !== 'registered') {
+      return res.status(403).json({ error: 'Only registered users can enable two-factor authentication' });
+    }
+
+    const result = await query('SELECT totp_enabled FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows[0].totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    await query('UPDATE users SET totp_secret = $1 WHERE id = $2', [secret, req.user.id]);
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, req.user.email || req.user.username)
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Confirm 2FA enrollment with a code from the app; returns one-time recovery codes
+router.post('/2fa/confirm', authenticate, [
+  body('code').isString().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query('SELECT totp_secret, totp_enabled FROM users WHERE id = $1', [req.user.id]);
+    const { totp_secret: secret, totp_enabled: enabled } = result.rows[0];
+
+    if (enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication already enabled' });
+    }
+
+    if (!secret) {
+      return res.status(400).json({ error: 'Two-factor setup not started' });
+    }
+
+    const step = verifyTotp(secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    await query(
+      'UPDATE users SET totp_enabled = true, totp_last_step = $1 WHERE id = $2',
+      [step, req.user.id]
+    );
+
+    const recoveryCodes = await createRecoveryCodes(req.user.id);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Disable 2FA (requires the password and a current code or recovery code)
+router.post('/2fa/disable', authenticate, [
+  body('password').exists().withMessage('Password required'),
+  body('code').isString().notEmpty().withMessage('Code required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code } = req.body;
+
+    const result = await query('SELECT password_hash, totp_enabled FROM users WHERE id = $1', [req.user.id]);
+    const { password_hash: passwordHash, totp_enabled: enabled } = result.rows[0];
+
+    if (!enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!passwordHash || !(await bcrypt.compare(password, passwordHash))) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    if (!(await verifySecondFactor(req.user.id, code))) {
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    await query(
+      'UPDATE users SET totp_enabled = false, totp_secret = NULL, totp_last_step = NULL WHERE id = $1',
+      [req.user.id]
+    );
+    await query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [req.user.id]);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Merge an anonymous session into the registered account the user just logged into.
+// The caller proves ownership of the anonymous account with its access token.
+router.post('/merge-anonymous', authenticate, [
+  body('anonymousToken').isString().notEmpty().withMessage('Anonymous token required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.account_type !== 'registered') {
+      return res.status(403).json({ error: 'Only registered accounts can absorb an anonymous session' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyToken(req.body.anonymousToken);
+    } catch (tokenError) {
+      return res.status(401).json({ error: 'Invalid anonymous token' });
+    }
+
+    if (!(await isSessionActive(decoded.sessionId, decoded.userId))) {
+      return res.status(401).json({ error: 'Invalid anonymous token' });
+    }
+
+    const anonymousResult = await query(
+      `SELECT id FROM users WHERE id = $1 AND account_type = 'anonymous'`,
+      [decoded.userId]
+    );
+
+    if (anonymousResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Token does not belong to an anonymous account' });
+    }
+
+    const anonymousId = anonymousResult.rows[0].id;
+    const client = await getClient();
+    let mergedMessages = 0;
+
+    try {
+      await client.query('BEGIN');
+
+      // Messages between the two accounts would become messages to self
+      await client.query(
+        `DELETE FROM messages
+         WHERE (sender_id = $1 AND receiver_id = $2) OR (sender_id = $2 AND receiver_id = $1)`,
+        [anonymousId, req.user.id]
+      );
+
+      const sent = await client.query('UPDATE messages SET sender_id = $1 WHERE sender_id = $2', [req.user.id, anonymousId]);
+      const received = await client.query('UPDATE messages SET receiver_id = $1 WHERE receiver_id = $2', [req.user.id, anonymousId]);
+      mergedMessages = sent.rowCount + received.rowCount;
+
+      // Per-pair relations carry over (a block made while anonymous must survive the
+      // merge). Rows between the two accounts are dropped rather than becoming self-rows.
+      for (const [table, first, second, columns] of MERGED_RELATIONS) {
+        await client.query(
+          `INSERT INTO ${table} (${first}, ${second}, ${columns})
+           SELECT CASE WHEN ${first} = $2 THEN $1 ELSE ${first} END,
+                  CASE WHEN ${second} = $2 THEN $1 ELSE ${second} END,
+                  ${columns}
+           FROM ${table}
+           WHERE (${first} = $2 OR ${second} = $2)
+             AND $1 NOT IN (${first}, ${second})
+           ON CONFLICT DO NOTHING`,
+          [req.user.id, anonymousId]
+        );
+      }
+
+      // Sessions and anything else tied to the anonymous user cascade away with it
+      await client.query('DELETE FROM users WHERE id = $1', [anonymousId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.in(`user:${anonymousId}`).disconnectSockets(true);
+    }
+
+    res.json({
+      message: 'Anonymous session merged',
+      mergedMessages
+    });
+  } catch (error) {
+    console.error('Merge anonymous error:', error);
+    res.status(500).json({ error: 'Failed to merge anonymous session' });
+  }
+});
+
 // Upgrade anonymous to registered
 router.post('/upgrade', authenticate, [
   body('email').isEmail().withMessage('Invalid email'),
@@ -271,12 +1006,15 @@ router.post('/upgrade', authenticate, [
 
     // Update user
     const result = await query(
-      `UPDATE users SET account_type = 'registered', email = $1, password_hash = $2 
+      `UPDATE users SET account_type = 'registered', email = $1, password_hash = $2,
+         email_verified = false, email_verified_at = NULL
        WHERE id = $3 
-       RETURNING id, username, age, bio, account_type, email, subscription_status, is_subscribed`,
+       RETURNING id, username, age, bio, account_type, email, email_verified, subscription_status, is_subscribed`,
       [email, passwordHash, req.user.id]
     );
 
+    sendVerificationEmail(result.rows[0]).catch(error => console.error('Verification email error:', error));
+
     res.json({
       message: 'Account upgraded successfully',
       user: result.rows[0]
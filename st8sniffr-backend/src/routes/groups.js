@@ -0,0 +1,525 @@
+import express from 'express';
+import { body, param, query as queryField, validationResult } from 'express-validator';
+import { query, getClient } from '../utils/db.js';
+import { authenticate } from '../middleware/auth.js';
+import { notBlockedWithAnyCondition } from '../utils/blocks.js';
+import {
+  GROUP_ROLES,
+  MAX_GROUP_MEMBERS,
+  groupRoom,
+  getMembership,
+  countMembers,
+  joinGroupRoom,
+  leaveGroupRoom,
+  repairGroups,
+  sendGroupMessage
+} from '../utils/groups.js';
+
+const router = express.Router();
+
+const groupIdParam = param('groupId').isUUID().withMessage('Invalid group id');
+
+// The caller's membership of :groupId, or null after sending 404 (not a member) or
+// 403 (adminOnly and not an admin)
+const requireMembership = async (req, res, { adminOnly = false } = {}) => {
+  const membership = await getMembership(req.params.groupId, req.user.id);
+  if (!membership) {
+    res.status(404).json({ error: 'Group not found' });
+    return null;
+  }
+  if (adminOnly && membership.role !== 'admin') {
+    res.status(403).json({ error: 'Only group admins can do this' });
+    return null;
+  }
+  return membership;
+};
+
+// Of the given ids, the users that can't be added by inviterId to groupId (or to a new
+// group): missing, anonymous, leaving, or blocked either way by the inviter, a current
+// member or another invitee. Members all share the group room, so a block anywhere counts.
+const findUnaddableUsers = async (inviterId, userIds, groupId = null) => {
+  const members = groupId
+    ? (await query('SELECT user_id FROM group_members WHERE group_id = $1', [groupId])).rows.map(row => row.user_id)
+    : [];
+
+  const result = await query(
+    `SELECT id FROM users
+     WHERE id = ANY($1::uuid[])
+       AND account_type = 'registered'
+       AND deletion_scheduled_at IS NULL
+       AND ${notBlockedWithAnyCondition('users.id', '$2')}`,
+    [userIds, [inviterId, ...members, ...userIds]]
+  );
+  const addable = new Set(result.rows.map(row => row.id));
+  return userIds.filter(id => !addable.has(id));
+};
+
+// Group avatars must be one of the caller's own non-NSFW photos
+const isUsableAvatar = async (userId, avatarUrl) => {
+  const result = await query(
+    'SELECT 1 FROM photos WHERE url = $1 AND user_id = $2 AND is_nsfw = false',
+    [avatarUrl, userId]
+  );
+  return result.rows.length > 0;
+};
+
+const loadGroup = async (groupId) => {
+  const group = await query(
+    'SELECT id, name, avatar_url, created_by, created_at, updated_at FROM groups WHERE id = $1',
+    [groupId]
+  );
+  const members = await query(
+    `SELECT gm.user_id, gm.role, gm.joined_at, u.username, u.account_type, u.is_online, u.last_active
+     FROM group_members gm
+     JOIN users u ON u.id = gm.user_id
+     WHERE gm.group_id = $1
+     ORDER BY gm.joined_at, gm.user_id`,
+    [groupId]
+  );
+
+  const row = group.rows[0];
+  return {
+    id: row.id,
+    name: row.name,
+    avatarUrl: row.avatar_url,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    members: members.rows.map(member => ({
+      id: member.user_id,
+      username: member.username,
+      role: member.role,
+      isOnline: member.is_online,
+      lastActive: member.last_active,
+      joinedAt: member.joined_at
+    }))
+  };
+};
+
+const memberIdsValidator = (field) => body(field).isArray({ min: 1, max: MAX_GROUP_MEMBERS - 1 })
+  .withMessage(`${field} must list 1-${MAX_GROUP_MEMBERS - 1} users`)
+  .custom(ids => ids.every(id => typeof id === 'string' && /^[0-9a-f-]{36}$/i.test(id)))
+  .withMessage(`${field} must be user ids`)
+  .customSanitizer(ids => [...new Set(ids)]);
+
+// Create a group. The creator becomes its admin; memberIds are added straight away.
+router.post('/', authenticate, [
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters'),
+  body('avatarUrl').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Invalid avatar'),
+  memberIdsValidator('memberIds').optional(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.account_type !== 'registered') {
+      return res.status(403).json({
+        error: 'Registration required',
+        message: 'Register to create group chats'
+      });
+    }
+
+    const { name, avatarUrl } = req.body;
+    const memberIds = (req.body.memberIds || []).filter(id => id !== req.user.id);
+
+    if (avatarUrl && !(await isUsableAvatar(req.user.id, avatarUrl))) {
+      return res.status(400).json({ error: 'Avatar must be one of your non-NSFW photos' });
+    }
+
+    const unaddable = await findUnaddableUsers(req.user.id, memberIds);
+    if (unaddable.length > 0) {
+      return res.status(400).json({ error: 'Some users cannot be added', userIds: unaddable });
+    }
+
+    const client = await getClient();
+    let groupId;
+    try {
+      await client.query('BEGIN');
+
+      const group = await client.query(
+        'INSERT INTO groups (name, avatar_url, created_by) VALUES ($1, $2, $3) RETURNING id',
+        [name, avatarUrl || null, req.user.id]
+      );
+      groupId = group.rows[0].id;
+
+      await client.query(
+        `INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, 'admin')`,
+        [groupId, req.user.id]
+      );
+      if (memberIds.length > 0) {
+        await client.query(
+          `INSERT INTO group_members (group_id, user_id, role, invited_by)
+           SELECT $1, unnest($2::uuid[]), 'member', $3`,
+          [groupId, memberIds, req.user.id]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const io = req.app.get('io');
+    joinGroupRoom(io, groupId, [req.user.id, ...memberIds]);
+
+    const group = await loadGroup(groupId);
+    if (io) {
+      memberIds.forEach(id => io.to(`user:${id}`).emit('group:added', { group }));
+    }
+
+    res.status(201).json({ group });
+  } catch (error) {
+    console.error('Create group error:', error);
+    res.status(500).json({ error: 'Failed to create group' });
+  }
+});
+
+// Get a group with its members (members only)
+router.get('/:groupId', authenticate, [groupIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const membership = await requireMembership(req, res);
+    if (!membership) {
+      return;
+    }
+
+    res.json({ group: await loadGroup(req.params.groupId), role: membership.role });
+  } catch (error) {
+    console.error('Get group error:', error);
+    res.status(500).json({ error: 'Failed to get group' });
+  }
+});
+
+// Rename a group or change its avatar (admins only; avatarUrl null removes it)
+router.put('/:groupId', authenticate, [
+  groupIdParam,
+  body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters'),
+  body('avatarUrl').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Invalid avatar'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!(await requireMembership(req, res, { adminOnly: true }))) {
+      return;
+    }
+
+    const { name, avatarUrl } = req.body;
+    const updates = [];
+    const values = [];
+
+    if (name) {
+      values.push(name);
+      updates.push(`name = $${values.length}`);
+    }
+    if (avatarUrl !== undefined) {
+      if (avatarUrl && !(await isUsableAvatar(req.user.id, avatarUrl))) {
+        return res.status(400).json({ error: 'Avatar must be one of your non-NSFW photos' });
+      }
+      values.push(avatarUrl || null);
+      updates.push(`avatar_url = $${values.length}`);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    values.push(req.params.groupId);
+    await query(
+      `UPDATE groups SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${values.length}`,
+      values
+    );
+
+    const group = await loadGroup(req.params.groupId);
+    const io = req.app.get('io');
+    if (io) {
+      io.to(groupRoom(group.id)).emit('group:updated', { group });
+    }
+
+    res.json({ message: 'Group updated', group });
+  } catch (error) {
+    console.error('Update group error:', error);
+    res.status(500).json({ error: 'Failed to update group' });
+  }
+});
+
+// Invite users to a group (admins only)
+router.post('/:groupId/members', authenticate, [
+  groupIdParam,
+  memberIdsValidator('userIds'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!(await requireMembership(req, res, { adminOnly: true }))) {
+      return;
+    }
+
+    const { groupId } = req.params;
+    const userIds = req.body.userIds.filter(id => id !== req.user.id);
+
+    const unaddable = await findUnaddableUsers(req.user.id, userIds, groupId);
+    if (unaddable.length > 0) {
+      return res.status(400).json({ error: 'Some users cannot be added', userIds: unaddable });
+    }
+
+    if (await countMembers(groupId) + userIds.length > MAX_GROUP_MEMBERS) {
+      return res.status(400).json({ error: `Groups can have at most ${MAX_GROUP_MEMBERS} members` });
+    }
+
+    const result = await query(
+      `INSERT INTO group_members (group_id, user_id, role, invited_by)
+       SELECT $1, unnest($2::uuid[]), 'member', $3
+       ON CONFLICT DO NOTHING
+       RETURNING user_id`,
+      [groupId, userIds, req.user.id]
+    );
+    const added = result.rows.map(row => row.user_id);
+
+    const io = req.app.get('io');
+    joinGroupRoom(io, groupId, added);
+
+    const group = await loadGroup(groupId);
+    if (io && added.length > 0) {
+      added.forEach(id => io.to(`user:${id}`).emit('group:added', { group }));
+      io.to(groupRoom(groupId)).emit('group:members_added', { groupId, userIds: added, addedBy: req.user.id });
+    }
+
+    res.status(201).json({ message: 'Members added', added, group });
+  } catch (error) {
+    console.error('Add group members error:', error);
+    res.status(500).json({ error: 'Failed to add members' });
+  }
+});
+
+// Change a member's role (admins only). A group always keeps at least one admin.
+router.put('/:groupId/members/:userId', authenticate, [
+  groupIdParam,
+  param('userId').isUUID().withMessage('Invalid user id'),
+  body('role').isIn(GROUP_ROLES).withMessage(`Role must be one of: ${GROUP_ROLES.join(', ')}`),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!(await requireMembership(req, res, { adminOnly: true }))) {
+      return;
+    }
+
+    const { groupId, userId } = req.params;
+    const { role } = req.body;
+
+    const target = await getMembership(groupId, userId);
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (target.role === 'admin' && role !== 'admin') {
+      const admins = await query(
+        `SELECT COUNT(*) FROM group_members WHERE group_id = $1 AND role = 'admin'`,
+        [groupId]
+      );
+      if (parseInt(admins.rows[0].count) <= 1) {
+        return res.status(400).json({ error: 'A group needs at least one admin' });
+      }
+    }
+
+    await query(
+      'UPDATE group_members SET role = $1 WHERE group_id = $2 AND user_id = $3',
+      [role, groupId, userId]
+    );
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(groupRoom(groupId)).emit('group:role_changed', { groupId, userId, role });
+    }
+
+    res.json({ message: 'Role updated' });
+  } catch (error) {
+    console.error('Update group role error:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+// Remove a member (admins only; use /leave to remove yourself)
+router.delete('/:groupId/members/:userId', authenticate, [
+  groupIdParam,
+  param('userId').isUUID().withMessage('Invalid user id'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!(await requireMembership(req, res, { adminOnly: true }))) {
+      return;
+    }
+
+    const { groupId, userId } = req.params;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'Use leave to remove yourself' });
+    }
+
+    const result = await query(
+      'DELETE FROM group_members WHERE group_id = $1 AND user_id = $2',
+      [groupId, userId]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const io = req.app.get('io');
+    leaveGroupRoom(io, groupId, [userId]);
+    if (io) {
+      io.to(`user:${userId}`).emit('group:removed', { groupId });
+      io.to(groupRoom(groupId)).emit('group:member_removed', { groupId, userId, removedBy: req.user.id });
+    }
+
+    res.json({ message: 'Member removed' });
+  } catch (error) {
+    console.error('Remove group member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Leave a group. The last admin leaving promotes the longest-standing member, and the
+// last member leaving deletes the group.
+router.post('/:groupId/leave', authenticate, [groupIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!(await requireMembership(req, res))) {
+      return;
+    }
+
+    const { groupId } = req.params;
+
+    await query('DELETE FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, req.user.id]);
+    await repairGroups([groupId]);
+
+    const io = req.app.get('io');
+    leaveGroupRoom(io, groupId, [req.user.id]);
+    if (io) {
+      io.to(groupRoom(groupId)).emit('group:member_left', { groupId, userId: req.user.id });
+    }
+
+    res.json({ message: 'Left group' });
+  } catch (error) {
+    console.error('Leave group error:', error);
+    res.status(500).json({ error: 'Failed to leave group' });
+  }
+});
+
+// Get group messages (newest page first, returned oldest to newest). Marks the group read.
+router.get('/:groupId/messages', authenticate, [
+  groupIdParam,
+  queryField('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+  queryField('before').optional().isISO8601().withMessage('Invalid before timestamp'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!(await requireMembership(req, res))) {
+      return;
+    }
+
+    const { groupId } = req.params;
+    const { limit = 50, before } = req.query;
+
+    const params = [groupId];
+    let beforeCondition = '';
+    if (before) {
+      params.push(before);
+      beforeCondition = `AND gm.created_at < $${params.length}`;
+    }
+    params.push(parseInt(limit));
+
+    const result = await query(
+      `SELECT gm.id, gm.sender_id, gm.content, gm.image_url, gm.created_at, u.username, u.account_type
+       FROM group_messages gm
+       JOIN users u ON u.id = gm.sender_id
+       WHERE gm.group_id = $1
+         ${beforeCondition}
+       ORDER BY gm.created_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    await query(
+      'UPDATE group_members SET last_read_at = NOW() WHERE group_id = $1 AND user_id = $2',
+      [groupId, req.user.id]
+    );
+
+    const messages = result.rows.reverse().map(msg => ({
+      id: msg.id,
+      groupId,
+      senderId: msg.sender_id,
+      // Deleted accounts are kept as tombstone rows so old messages still render
+      senderName: msg.account_type === 'deleted' ? 'Deleted user' : msg.username,
+      content: msg.content,
+      imageUrl: msg.image_url,
+      createdAt: msg.created_at
+    }));
+
+    res.json({ messages });
+  } catch (error) {
+    console.error('Get group messages error:', error);
+    res.status(500).json({ error: 'Failed to get messages' });
+  }
+});
+
+// Send a group message (also available over the socket as group:message:send)
+router.post('/:groupId/messages', authenticate, [
+  groupIdParam,
+  body('content').optional().trim().isLength({ max: 2000 }).withMessage('Message too long'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { content, imageUrl } = req.body;
+
+    if (!content && !imageUrl) {
+      return res.status(400).json({ error: 'Message content or image required' });
+    }
+
+    if (!(await requireMembership(req, res))) {
+      return;
+    }
+
+    const message = await sendGroupMessage(req.app.get('io'), req.params.groupId, req.user, { content, imageUrl });
+
+    res.status(201).json({ message });
+  } catch (error) {
+    console.error('Send group message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+export default router;
@@ -1,11 +1,14 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, validationResult } from 'express-validator';
 import { query } from '../utils/db.js';
 import { authenticate } from '../middleware/auth.js';
+import { notBlockedCondition } from '../utils/blocks.js';
+import { TAP_KINDS, FREE_DAILY_TAPS, countRecentTaps, sendTap } from '../utils/taps.js';
 
 const router = express.Router();
 
-// Get conversations for current user
+// Get conversations for current user: direct messages and groups, most recent first.
+// Each has a type ('direct' or 'group') and the current user's own unread count.
 router.get('/conversations', authenticate, async (req, res) => {
   try {
     const result = await query(
@@ -49,6 +52,7 @@ router.get('/conversations', authenticate, async (req, res) => {
         u.is_subscribed,
         u.is_online,
         u.last_active,
+        EXISTS (SELECT 1 FROM favorites f WHERE f.user_id = $1 AND f.favorite_user_id = u.id) as is_favorite,
         COALESCE(uc.count, 0) as unread_count
       FROM last_messages lm
       JOIN users u ON u.id = CASE WHEN lm.sender_id = $1 THEN lm.receiver_id ELSE lm.sender_id END
@@ -57,17 +61,21 @@ router.get('/conversations', authenticate, async (req, res) => {
       [req.user.id]
     );
 
-    const conversations = result.rows.map(row => ({
+    const directConversations = result.rows.map(row => ({
       id: row.id,
+      type: 'direct',
       user: {
         id: row.other_user_id,
-        username: row.username,
+        // Deleted accounts are kept as tombstone rows so the conversation still renders
+        username: row.account_type === 'deleted' ? 'Deleted user' : row.username,
+        isDeleted: row.account_type === 'deleted',
         age: row.age,
         accountType: row.account_type,
         subscriptionStatus: row.subscription_status,
         isSubscribed: row.is_subscribed,
         isOnline: row.is_online,
-        lastActive: row.last_active
+        lastActive: row.last_active,
+        isFavorite: row.is_favorite
       },
       lastMessage: {
         content: row.content,
@@ -79,13 +87,233 @@ router.get('/conversations', authenticate, async (req, res) => {
       updatedAt: row.created_at
     }));
 
-    res.json({ conversations });
+    // Groups: unread means messages from others since this member last read the group
+    const groups = await query(
+      `SELECT 
+        g.id AS group_id,
+        g.name,
+        g.avatar_url,
+        g.created_at AS group_created_at,
+        gm.role,
+        (SELECT COUNT(*) FROM group_members c WHERE c.group_id = g.id) AS member_count,
+        lm.id,
+        lm.sender_id,
+        lm.content,
+        lm.image_url,
+        lm.created_at,
+        su.username AS sender_name,
+        su.account_type AS sender_account_type,
+        (SELECT COUNT(*) FROM group_messages um
+         WHERE um.group_id = g.id AND um.sender_id != $1 AND um.created_at > gm.last_read_at) AS unread_count
+      FROM group_members gm
+      JOIN groups g ON g.id = gm.group_id
+      LEFT JOIN LATERAL (
+        SELECT id, sender_id, content, image_url, created_at
+        FROM group_messages
+        WHERE group_id = g.id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) lm ON true
+      LEFT JOIN users su ON su.id = lm.sender_id
+      WHERE gm.user_id = $1`,
+      [req.user.id]
+    );
+
+    const groupConversations = groups.rows.map(row => ({
+      id: row.id,
+      type: 'group',
+      group: {
+        id: row.group_id,
+        name: row.name,
+        avatarUrl: row.avatar_url,
+        memberCount: parseInt(row.member_count),
+        role: row.role
+      },
+      lastMessage: row.id ? {
+        senderId: row.sender_id,
+        senderName: row.sender_account_type === 'deleted' ? 'Deleted user' : row.sender_name,
+        content: row.content,
+        imageUrl: row.image_url,
+        createdAt: row.created_at
+      } : null,
+      unreadCount: parseInt(row.unread_count),
+      updatedAt: row.created_at || row.group_created_at
+    }));
+
+    const conversations = [...directConversations, ...groupConversations]
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+    const unseenTaps = await query(
+      `SELECT COUNT(*) FROM taps
+       WHERE receiver_id = $1 AND seen = false AND ${notBlockedCondition('taps.sender_id', '$1')}`,
+      [req.user.id]
+    );
+
+    res.json({ conversations, unseenTaps: parseInt(unseenTaps.rows[0].count) });
   } catch (error) {
     console.error('Get conversations error:', error);
     res.status(500).json({ error: 'Failed to get conversations' });
   }
 });
 
+const formatTapUser = (row) => ({
+  id: row.user_id,
+  username: row.username,
+  age: row.age,
+  accountType: row.account_type,
+  isSubscribed: row.is_subscribed,
+  isOnline: row.is_online,
+  lastActive: row.last_active
+});
+
+// Received taps inbox (newest first). Fetching the inbox marks the taps as seen.
+router.get('/taps', authenticate, async (req, res) => {
+  try {
+    const { limit = 50, before } = req.query;
+
+    const params = [req.user.id];
+    let beforeCondition = '';
+    if (before) {
+      params.push(before);
+      beforeCondition = `AND t.created_at < $${params.length}`;
+    }
+    params.push(Math.min(parseInt(limit), 100));
+
+    const result = await query(
+      `SELECT t.id, t.kind, t.seen, t.created_at,
+         u.id AS user_id, u.username, u.age, u.account_type, u.is_subscribed, u.is_online, u.last_active,
+         EXISTS (SELECT 1 FROM taps r WHERE r.sender_id = $1 AND r.receiver_id = t.sender_id) AS is_match
+       FROM taps t
+       JOIN users u ON u.id = t.sender_id
+       WHERE t.receiver_id = $1
+         AND u.account_type != 'deleted'
+         AND ${notBlockedCondition('t.sender_id', '$1')}
+         ${beforeCondition}
+       ORDER BY t.created_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    await query('UPDATE taps SET seen = true WHERE receiver_id = $1 AND seen = false', [req.user.id]);
+
+    const taps = result.rows.map(row => ({
+      id: row.id,
+      kind: row.kind,
+      isSeen: row.seen,
+      isMatch: row.is_match,
+      user: formatTapUser(row),
+      createdAt: row.created_at
+    }));
+
+    res.json({ taps });
+  } catch (error) {
+    console.error('Get taps error:', error);
+    res.status(500).json({ error: 'Failed to get taps' });
+  }
+});
+
+// Mutual taps (newest match first)
+router.get('/matches', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT GREATEST(sent.created_at, received.created_at) AS matched_at,
+         u.id AS user_id, u.username, u.age, u.account_type, u.is_subscribed, u.is_online, u.last_active
+       FROM taps sent
+       JOIN taps received ON received.sender_id = sent.receiver_id AND received.receiver_id = sent.sender_id
+       JOIN users u ON u.id = sent.receiver_id
+       WHERE sent.sender_id = $1
+         AND u.account_type != 'deleted'
+         AND ${notBlockedCondition('u.id', '$1')}
+       ORDER BY matched_at DESC`,
+      [req.user.id]
+    );
+
+    const matches = result.rows.map(row => ({
+      user: formatTapUser(row),
+      matchedAt: row.matched_at
+    }));
+
+    res.json({ matches });
+  } catch (error) {
+    console.error('Get matches error:', error);
+    res.status(500).json({ error: 'Failed to get matches' });
+  }
+});
+
+// Send a tap. Free accounts get FREE_DAILY_TAPS per day; subscribers are unlimited.
+// If the other user already tapped back, both get a match:new socket event.
+router.post('/taps/:userId', authenticate, [
+  param('userId').isUUID().withMessage('Invalid user id'),
+  body('kind').optional().isIn(TAP_KINDS).withMessage(`Kind must be one of: ${TAP_KINDS.join(', ')}`),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId } = req.params;
+    const { kind = 'tap' } = req.body;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot tap yourself' });
+    }
+
+    const recipient = await query(
+      `SELECT id, username FROM users
+       WHERE id = $1 AND account_type NOT IN ('anonymous', 'deleted') AND deletion_scheduled_at IS NULL
+         AND ${notBlockedCondition('users.id', '$2')}`,
+      [userId, req.user.id]
+    );
+    if (recipient.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!req.user.is_subscribed && await countRecentTaps(req.user.id) >= FREE_DAILY_TAPS) {
+      return res.status(403).json({
+        error: 'Daily tap limit reached',
+        message: `Free accounts can send ${FREE_DAILY_TAPS} taps per day. Subscribe for unlimited taps.`
+      });
+    }
+
+    const { tap, isMatch } = await sendTap(req.user.id, userId, kind);
+
+    // Re-tapping only refreshes the existing tap, so it doesn't notify again
+    const io = req.app.get('io');
+    if (io && tap.inserted) {
+      io.to(`user:${userId}`).emit('tap:received', {
+        id: tap.id,
+        kind: tap.kind,
+        senderId: req.user.id,
+        senderName: req.user.username,
+        createdAt: tap.created_at
+      });
+
+      if (isMatch) {
+        io.to(`user:${req.user.id}`).emit('match:new', {
+          user: { id: userId, username: recipient.rows[0].username }
+        });
+        io.to(`user:${userId}`).emit('match:new', {
+          user: { id: req.user.id, username: req.user.username }
+        });
+      }
+    }
+
+    res.status(tap.inserted ? 201 : 200).json({
+      tap: {
+        id: tap.id,
+        kind: tap.kind,
+        receiverId: tap.receiver_id,
+        createdAt: tap.created_at
+      },
+      isMatch
+    });
+  } catch (error) {
+    console.error('Send tap error:', error);
+    res.status(500).json({ error: 'Failed to send tap' });
+  }
+});
+
 // Get messages with a specific user
 router.get('/:userId', authenticate, async (req, res) => {
   try {
@@ -153,8 +381,13 @@ router.post('/:userId', authenticate, [
       return res.status(400).json({ error: 'Message content or image required' });
     }
 
-    // Check if recipient exists
-    const recipient = await query('SELECT id FROM users WHERE id = $1', [userId]);
+    // Check if recipient exists, isn't leaving, and neither user has blocked the other
+    const recipient = await query(
+      `SELECT id FROM users
+       WHERE id = $1 AND account_type != 'deleted' AND deletion_scheduled_at IS NULL
+         AND ${notBlockedCondition('users.id', '$2')}`,
+      [userId, req.user.id]
+    );
     if (recipient.rows.length === 0) {
       return res.status(404).json({ error: 'Recipient not found' });
     }
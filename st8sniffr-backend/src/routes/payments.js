@@ -1,15 +1,10 @@
 import express from 'express';
-import Stripe from 'stripe';
 import { query } from '../utils/db.js';
+import stripe from '../utils/stripe.js';
 import { authenticate } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Initialize Stripe
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
-  apiVersion: '2023-10-16'
-});
-
 const STRIPE_PRICE_ID = process.env.STRIPE_PRICE_ID; // Your $4.99/month price ID
 const WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
 
@@ -24,6 +19,14 @@ router.post('/create-subscription', authenticate, async (req, res) => {
       });
     }
 
+    // Email must be verified before taking payment details
+    if (!req.user.email_verified) {
+      return res.status(403).json({ 
+        error: 'Email not verified',
+        message: 'Please verify your email before subscribing'
+      });
+    }
+
     // Check if user already has an active subscription
     if (req.user.is_subscribed) {
       return res.status(400).json({ 
@@ -336,9 +339,12 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
           [subscriptionId]
         );
 
+        // Subscriber-only settings switch off with the subscription
         if (result.rows.length > 0) {
           await query(
-            'UPDATE users SET subscription_status = $1, is_subscribed = false WHERE id = $2',
+            `UPDATE users SET subscription_status = $1, is_subscribed = false, is_incognito = false,
+               travel_lat = NULL, travel_lng = NULL, travel_place = NULL, travel_expires_at = NULL
+             WHERE id = $2`,
             ['none', result.rows[0].user_id]
           );
         }
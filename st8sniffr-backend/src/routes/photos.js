@@ -4,6 +4,7 @@ import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import { query } from '../utils/db.js';
 import { authenticate } from '../middleware/auth.js';
+import { notBlockedCondition } from '../utils/blocks.js';
 
 const router = express.Router();
 
@@ -55,10 +56,10 @@ router.get('/user/:userId', authenticate, async (req, res) => {
   try {
     const { userId } = req.params;
 
-    // Get user's account type to determine what photos to show
+    // Get user's account type to determine what photos to show (blocked either way is a 404)
     const userResult = await query(
-      'SELECT account_type, is_nsfw FROM users WHERE id = $1',
-      [userId]
+      `SELECT account_type, is_nsfw FROM users WHERE id = $1 AND ${notBlockedCondition('users.id', '$2')}`,
+      [userId, req.user.id]
     );
 
     if (userResult.rows.length === 0) {
@@ -112,6 +113,16 @@ router.post('/', authenticate, upload.single('photo'), async (req, res) => {
 
     const { isNsfw = 'false', isProfilePicture = 'false' } = req.body;
 
+    // NSFW uploads require a verified email
+    if (isNsfw === 'true' && !req.user.email_verified) {
+      const fs = await import('fs');
+      fs.unlinkSync(req.file.path);
+      return res.status(403).json({ 
+        error: 'Email not verified',
+        message: 'Verify your email to upload NSFW photos'
+      });
+    }
+
     // Build file URL
     const fileUrl = `${process.env.BASE_URL || 'http://localhost:3000'}/uploads/${req.file.filename}`;
 
@@ -206,6 +217,14 @@ router.put('/:photoId', authenticate, async (req, res) => {
       return res.status(403).json({ error: 'Can only update your own photos' });
     }
 
+    // Marking a photo NSFW requires a verified email, same as uploading one
+    if ((isNsfw === true || isNsfw === 'true') && !req.user.email_verified) {
+      return res.status(403).json({ 
+        error: 'Email not verified',
+        message: 'Verify your email to upload NSFW photos'
+      });
+    }
+
     const updates = [];
     const values = [];
     let paramCount = 1;
@@ -1,74 +1,940 @@
 import express from 'express';
+import fs from 'fs';
+import { body, param, query as queryField, validationResult, matchedData } from 'express-validator';
 import { query } from '../utils/db.js';
 import { authenticate, optionalAuth } from '../middleware/auth.js';
+import { runDataExport, failStaleExports } from '../utils/dataExport.js';
+import { buildDistanceQuery, buildDistanceExpression } from '../utils/geo.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+import { publicLocation, publicDistance } from '../utils/locationPrivacy.js';
+import { updateUserLocation } from '../utils/geoRooms.js';
+import { connectPresence, disconnectPresence } from '../utils/presence.js';
+import { notBlockedCondition, separateUsers } from '../utils/blocks.js';
+import { PROFILE_VIEWS_WINDOW_DAYS, recordProfileView } from '../utils/profileViews.js';
+import { incognitoVisibleCondition } from '../utils/incognito.js';
+import {
+  TRAVEL_DEFAULT_DAYS,
+  TRAVEL_MAX_DAYS,
+  getActiveTravel,
+  formatTravel,
+  visitingBadge
+} from '../utils/travel.js';
+import { findCity, searchCities, cityLabel, nearestCity } from '../utils/cities.js';
+import { PROFILE_FIELD_COLUMNS, publicProfileFields } from '../utils/profileFields.js';
+import { getUserTags } from '../utils/tags.js';
+import { isMatchExpression } from '../utils/taps.js';
+import {
+  SEARCH_DISTANCE_SCALE_KM,
+  SEARCH_UNKNOWN_DISTANCE_KM,
+  SEARCH_TAG_BONUS,
+  buildPrefixTsquery,
+  escapeLike
+} from '../utils/search.js';
+import {
+  discoveryFilterQueryValidators,
+  discoveryFilterBodyValidators,
+  pickFilters,
+  buildDiscoveryFilters
+} from '../utils/discoveryFilters.js';
 
 const router = express.Router();
 
-// Get nearby users
-router.get('/nearby', authenticate, async (req, res) => {
+// Get nearby users (cursor-paginated by distance, then id).
+// Filters can come from the query string and/or a saved preset (?preset=<id>); the
+// query string wins. Filters are not stored in the cursor, so send them with every page.
+// Subscribers in travel mode browse from their travel location instead of lat/lng.
+router.get('/nearby', authenticate, [
+  queryField('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  queryField('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  queryField('radius').optional().isFloat({ min: 0.1, max: 500 }).withMessage('Radius must be 0.1-500 km'),
+  queryField('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+  queryField('preset').optional().isUUID().withMessage('Invalid preset'),
+  ...discoveryFilterQueryValidators,
+], async (req, res) => {
   try {
-    const { lat, lng, radius = 10, limit = 50 } = req.query;
-    
-    if (!lat || !lng) {
-      return res.status(400).json({ error: 'Latitude and longitude required' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-    const searchRadius = parseFloat(radius); // km
+    const { lat, lng, radius = 10, limit = 50, cursor, preset } = req.query;
     const resultLimit = Math.min(parseInt(limit), 100);
 
-    // Haversine formula to calculate distance
+    let filters = pickFilters(matchedData(req, { locations: ['query'] }));
+    if (preset) {
+      const presetResult = await query(
+        'SELECT filters FROM filter_presets WHERE id = $1 AND user_id = $2',
+        [preset, req.user.id]
+      );
+      if (presetResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Filter preset not found' });
+      }
+      filters = { ...presetResult.rows[0].filters, ...filters };
+    }
+
+    // Later pages reuse the origin, radius and database snapshot time from the first page
+    // so the ordering can't shift under the client if the viewer moves between loads
+    let page;
+    let travel = null;
+    if (cursor) {
+      page = decodeCursor(cursor);
+      if (!page || !Number.isFinite(page.lat) || !Number.isFinite(page.lng) || !Number.isFinite(page.radius) ||
+          !Number.isFinite(page.distance) || !/^[0-9a-f-]{36}$/i.test(page.id) || typeof page.asOf !== 'string') {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    } else {
+      travel = await getActiveTravel(req.user.id);
+
+      if (travel) {
+        page = {
+          lat: parseFloat(travel.travel_lat),
+          lng: parseFloat(travel.travel_lng),
+          radius: parseFloat(radius) // km
+        };
+      } else {
+        if (!lat || !lng) {
+          return res.status(400).json({ error: 'Latitude and longitude required' });
+        }
+
+        page = {
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          radius: parseFloat(radius) // km
+        };
+      }
+    }
+
+    // Spatial prefilter (PostGIS or bounding box) keeps this on an index;
+    // distance is computed once per candidate in the inner query
+    const params = [req.user.id];
+    const { distance, prefilter } = await buildDistanceQuery(page.lat, page.lng, page.radius, params);
+    params.push(page.radius);
+    const radiusParam = params.length;
+
+    // Users who moved after the first page was loaded are left out of later pages,
+    // otherwise they could show up twice or be skipped
+    let snapshotCondition = '';
+    let pageCondition = '';
+    if (cursor) {
+      params.push(page.asOf);
+      snapshotCondition = `AND location_updated_at <= $${params.length}::timestamp`;
+      params.push(page.distance, page.id);
+      pageCondition = `AND (distance, id) > ($${params.length - 1}, $${params.length}::uuid)`;
+    }
+
+    const filterConditions = buildDiscoveryFilters(filters, params)
+      .map(condition => `AND ${condition}`)
+      .join('\n          ');
+
+    // Fetch one extra row to know whether there is another page
+    params.push(resultLimit + 1);
+
     const result = await query(
-      `SELECT 
-        id, username, age, bio, location_lat, location_lng, 
-        account_type, subscription_status, is_subscribed, is_nsfw, is_online, last_active, created_at,
-        (6371 * acos(
-          cos(radians($1)) * cos(radians(location_lat)) * 
-          cos(radians(location_lng) - radians($2)) + 
-          sin(radians($1)) * sin(radians(location_lat))
-        )) AS distance
-      FROM users
-      WHERE account_type != 'anonymous'
-        AND id != $3
-        AND location_lat IS NOT NULL
-        AND (6371 * acos(
-          cos(radians($1)) * cos(radians(location_lat)) * 
-          cos(radians(location_lng) - radians($2)) + 
-          sin(radians($1)) * sin(radians(location_lat))
-        )) <= $4
-      ORDER BY distance
-      LIMIT $5`,
-      [latitude, longitude, req.user.id, searchRadius, resultLimit]
+      `SELECT * FROM (
+        SELECT 
+          id, username, age, bio, location_lat, location_lng, 
+          account_type, subscription_status, is_subscribed, is_nsfw, is_online, last_active, created_at,
+          location_privacy, ${PROFILE_FIELD_COLUMNS},
+          ${isMatchExpression('$1', 'users.id')} AS is_match,
+          EXISTS (SELECT 1 FROM favorites f WHERE f.user_id = $1 AND f.favorite_user_id = users.id) AS is_favorite,
+          ${distance} AS distance,
+          LOCALTIMESTAMP::text AS as_of
+        FROM users
+        WHERE account_type != 'anonymous'
+          AND id != $1
+          AND deletion_scheduled_at IS NULL
+          AND location_lat IS NOT NULL
+          AND ${notBlockedCondition('users.id', '$1')}
+          AND ${incognitoVisibleCondition('$1')}
+          AND ${prefilter}
+          ${snapshotCondition}
+          ${filterConditions}
+      ) AS nearby
+      WHERE distance <= $${radiusParam}
+        ${pageCondition}
+      ORDER BY distance, id
+      LIMIT $${params.length}`,
+      params
     );
 
+    const hasMore = result.rows.length > resultLimit;
+    const rows = result.rows.slice(0, resultLimit);
+    const last = rows[rows.length - 1];
+    const nextCursor = hasMore ? encodeCursor({
+      lat: page.lat,
+      lng: page.lng,
+      radius: page.radius,
+      asOf: page.asOf || last.as_of,
+      distance: last.distance,
+      id: last.id
+    }) : null;
+
     // Format response
-    const users = result.rows.map(user => ({
+    // Location and distance are reduced according to each user's privacy setting
+    const users = rows.map(user => ({
       id: user.id,
       username: user.username,
       age: user.age,
       bio: user.bio,
-      location: {
-        lat: parseFloat(user.location_lat),
-        lng: parseFloat(user.location_lng)
-      },
+      location: publicLocation(user),
       accountType: user.account_type,
       subscriptionStatus: user.subscription_status,
       isSubscribed: user.is_subscribed,
       isNSFW: user.is_nsfw,
       isOnline: user.is_online,
       lastActive: user.last_active,
-      distance: Math.round(user.distance * 10) / 10,
+      ...publicDistance(user.distance, user.location_privacy),
+      profileFields: publicProfileFields(user, { isMatch: user.is_match }),
+      isFavorite: user.is_favorite,
       createdAt: user.created_at
     }));
 
-    res.json({ users });
+    res.json({ users, nextCursor, filters, travel: formatTravel(travel) });
   } catch (error) {
     console.error('Get nearby users error:', error);
     res.status(500).json({ error: 'Failed to get nearby users' });
   }
 });
 
+// List saved discovery filter presets
+router.get('/filters', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT id, name, filters, created_at FROM filter_presets WHERE user_id = $1 ORDER BY name',
+      [req.user.id]
+    );
+
+    const presets = result.rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      filters: row.filters,
+      createdAt: row.created_at
+    }));
+
+    res.json({ presets });
+  } catch (error) {
+    console.error('Get filter presets error:', error);
+    res.status(500).json({ error: 'Failed to get filter presets' });
+  }
+});
+
+// Save a named discovery filter preset (subscribers only). Saving an existing name replaces it.
+router.post('/filters', authenticate, [
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters'),
+  body('filters').isObject().withMessage('Filters must be an object'),
+  ...discoveryFilterBodyValidators,
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.user.is_subscribed) {
+      return res.status(403).json({
+        error: 'Subscription required',
+        message: 'Subscribe to save filter presets'
+      });
+    }
+
+    const filters = pickFilters(req.body.filters);
+
+    const count = await query('SELECT COUNT(*) FROM filter_presets WHERE user_id = $1 AND name != $2', [req.user.id, req.body.name]);
+    if (parseInt(count.rows[0].count) >= 20) {
+      return res.status(400).json({ error: 'Filter preset limit reached' });
+    }
+
+    const result = await query(
+      `INSERT INTO filter_presets (user_id, name, filters)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, name) DO UPDATE SET filters = EXCLUDED.filters
+       RETURNING id, name, filters, created_at`,
+      [req.user.id, req.body.name, JSON.stringify(filters)]
+    );
+
+    const preset = result.rows[0];
+
+    res.status(201).json({
+      preset: {
+        id: preset.id,
+        name: preset.name,
+        filters: preset.filters,
+        createdAt: preset.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Save filter preset error:', error);
+    res.status(500).json({ error: 'Failed to save filter preset' });
+  }
+});
+
+// Delete a saved filter preset
+router.delete('/filters/:presetId', authenticate, [
+  param('presetId').isUUID().withMessage('Invalid preset id'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      'DELETE FROM filter_presets WHERE id = $1 AND user_id = $2',
+      [req.params.presetId, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Filter preset not found' });
+    }
+
+    res.json({ message: 'Filter preset deleted' });
+  } catch (error) {
+    console.error('Delete filter preset error:', error);
+    res.status(500).json({ error: 'Failed to delete filter preset' });
+  }
+});
+
+// Request a full export of the current user's data (built in the background)
+router.post('/me/export', authenticate, async (req, res) => {
+  try {
+    await failStaleExports(req.user.id);
+
+    const pending = await query(
+      `SELECT id FROM data_exports WHERE user_id = $1 AND status IN ('pending', 'processing')`,
+      [req.user.id]
+    );
+
+    if (pending.rows.length > 0) {
+      return res.status(409).json({
+        error: 'Export already in progress',
+        exportId: pending.rows[0].id
+      });
+    }
+
+    const result = await query(
+      'INSERT INTO data_exports (user_id) VALUES ($1) RETURNING id, status, created_at',
+      [req.user.id]
+    );
+
+    const dataExport = result.rows[0];
+
+    // Fire and forget; the user is notified with an export:ready socket event and email
+    setImmediate(() => {
+      runDataExport(dataExport.id, req.user.id, req.app.get('io'))
+        .catch(error => console.error('Data export job error:', error));
+    });
+
+    res.status(202).json({
+      message: 'Export started',
+      export: {
+        id: dataExport.id,
+        status: dataExport.status,
+        createdAt: dataExport.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Request export error:', error);
+    res.status(500).json({ error: 'Failed to start export' });
+  }
+});
+
+// List the current user's exports
+router.get('/me/exports', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT id, status, created_at, completed_at, expires_at
+       FROM data_exports WHERE user_id = $1
+       ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+
+    const exports = result.rows.map(row => ({
+      id: row.id,
+      status: row.status,
+      createdAt: row.created_at,
+      completedAt: row.completed_at,
+      expiresAt: row.expires_at
+    }));
+
+    res.json({ exports });
+  } catch (error) {
+    console.error('List exports error:', error);
+    res.status(500).json({ error: 'Failed to get exports' });
+  }
+});
+
+// Download a finished export archive
+router.get('/me/exports/:exportId/download', authenticate, [
+  param('exportId').isUUID().withMessage('Invalid export id'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      `SELECT file_path, status, expires_at FROM data_exports
+       WHERE id = $1 AND user_id = $2`,
+      [req.params.exportId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    const dataExport = result.rows[0];
+
+    if (dataExport.status !== 'ready') {
+      return res.status(409).json({ error: 'Export not ready', status: dataExport.status });
+    }
+
+    if (new Date(dataExport.expires_at) < new Date() || !dataExport.file_path || !fs.existsSync(dataExport.file_path)) {
+      return res.status(410).json({ error: 'Export expired' });
+    }
+
+    res.download(dataExport.file_path, `st8sniffr-export-${req.params.exportId}.tar.gz`);
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({ error: 'Failed to download export' });
+  }
+});
+
+// Who viewed my profile in the last PROFILE_VIEWS_WINDOW_DAYS days. Subscribers get the
+// list (one entry per viewer per day); free accounts only get the number of viewers.
+router.get('/me/viewers', authenticate, [
+  queryField('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+  queryField('before').optional().isISO8601().withMessage('Invalid before timestamp'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const visibleViews = `
+      FROM profile_views pv
+      JOIN users u ON u.id = pv.viewer_id
+      WHERE pv.viewed_id = $1
+        AND pv.viewed_at > NOW() - make_interval(days => $2)
+        AND u.account_type != 'deleted'
+        AND ${notBlockedCondition('pv.viewer_id', '$1')}`;
+
+    const countResult = await query(
+      `SELECT COUNT(DISTINCT pv.viewer_id) ${visibleViews}`,
+      [req.user.id, PROFILE_VIEWS_WINDOW_DAYS]
+    );
+    const count = parseInt(countResult.rows[0].count);
+
+    if (!req.user.is_subscribed) {
+      return res.json({
+        count,
+        viewers: null,
+        message: 'Subscribe to see who viewed your profile'
+      });
+    }
+
+    const { limit = 50, before } = req.query;
+    const params = [req.user.id, PROFILE_VIEWS_WINDOW_DAYS];
+    let beforeCondition = '';
+    if (before) {
+      params.push(before);
+      beforeCondition = `AND pv.viewed_at < $${params.length}`;
+    }
+    params.push(parseInt(limit));
+
+    const result = await query(
+      `SELECT pv.viewed_at, u.id, u.username, u.age, u.account_type, u.is_subscribed, u.is_online, u.last_active
+       ${visibleViews}
+         ${beforeCondition}
+       ORDER BY pv.viewed_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const viewers = result.rows.map(row => ({
+      user: {
+        id: row.id,
+        username: row.username,
+        age: row.age,
+        accountType: row.account_type,
+        isSubscribed: row.is_subscribed,
+        isOnline: row.is_online,
+        lastActive: row.last_active
+      },
+      viewedAt: row.viewed_at
+    }));
+
+    res.json({ count, viewers });
+  } catch (error) {
+    console.error('Get profile viewers error:', error);
+    res.status(500).json({ error: 'Failed to get profile viewers' });
+  }
+});
+
+// Search the bundled city list for travel mode
+router.get('/travel/cities', authenticate, [
+  queryField('q').optional().isString().isLength({ max: 100 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const cities = searchCities(req.query.q).map(city => ({
+      name: city.name,
+      country: city.country,
+      label: cityLabel(city)
+    }));
+
+    res.json({ cities });
+  } catch (error) {
+    console.error('Search cities error:', error);
+    res.status(500).json({ error: 'Failed to search cities' });
+  }
+});
+
+// Get the current travel location (null when off or expired)
+router.get('/me/travel', authenticate, async (req, res) => {
+  try {
+    res.json({ travel: formatTravel(await getActiveTravel(req.user.id)) });
+  } catch (error) {
+    console.error('Get travel error:', error);
+    res.status(500).json({ error: 'Failed to get travel location' });
+  }
+});
+
+// Set a travel location (subscribers only) from a bundled city name or lat/lng.
+// It expires after `days` (default TRAVEL_DEFAULT_DAYS).
+router.put('/me/travel', authenticate, [
+  body('city').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Invalid city'),
+  body('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+  body('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+  body('days').optional().isInt({ min: 1, max: TRAVEL_MAX_DAYS }).withMessage(`Days must be 1-${TRAVEL_MAX_DAYS}`).toInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.user.is_subscribed) {
+      return res.status(403).json({
+        error: 'Subscription required',
+        message: 'Subscribe to use travel mode'
+      });
+    }
+
+    const { city, lat, lng, days = TRAVEL_DEFAULT_DAYS } = req.body;
+
+    let destination;
+    if (city) {
+      const match = findCity(city);
+      if (!match) {
+        return res.status(404).json({ error: 'City not found' });
+      }
+      destination = { lat: match.lat, lng: match.lng, place: cityLabel(match) };
+    } else if (lat !== undefined && lng !== undefined) {
+      const nearby = nearestCity(lat, lng, 50);
+      destination = { lat, lng, place: nearby ? cityLabel(nearby) : null };
+    } else {
+      return res.status(400).json({ error: 'City or latitude and longitude required' });
+    }
+
+    const result = await query(
+      `UPDATE users
+       SET travel_lat = $1, travel_lng = $2, travel_place = $3, travel_expires_at = NOW() + make_interval(days => $4)
+       WHERE id = $5
+       RETURNING travel_lat, travel_lng, travel_place, travel_expires_at`,
+      [destination.lat, destination.lng, destination.place, days, req.user.id]
+    );
+
+    res.json({ message: 'Travel location set', travel: formatTravel(result.rows[0]) });
+  } catch (error) {
+    console.error('Set travel error:', error);
+    res.status(500).json({ error: 'Failed to set travel location' });
+  }
+});
+
+// Turn travel mode off
+router.delete('/me/travel', authenticate, async (req, res) => {
+  try {
+    await query(
+      `UPDATE users SET travel_lat = NULL, travel_lng = NULL, travel_place = NULL, travel_expires_at = NULL
+       WHERE id = $1`,
+      [req.user.id]
+    );
+
+    res.json({ message: 'Travel mode turned off' });
+  } catch (error) {
+    console.error('Clear travel error:', error);
+    res.status(500).json({ error: 'Failed to clear travel location' });
+  }
+});
+
+// Search users (defined before /:id so it isn't captured as a user id).
+// Full-text match on username/bio (prefix, so it works while typing), fuzzy username
+// match and tag names, ranked by relevance. With near=true the rank is weighted by
+// distance from lat/lng (or the viewer's own location). Accepts the /nearby filters;
+// either q or at least one filter is required. Cursor-paginated by (score, id); like
+// /nearby, send the filters again with every page.
+router.get('/search', authenticate, [
+  queryField('q').optional().isString().trim().isLength({ max: 100 }).withMessage('Search query too long'),
+  queryField('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be 1-50'),
+  queryField('near').optional().isBoolean().withMessage('near must be a boolean').toBoolean(),
+  queryField('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  queryField('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  ...discoveryFilterQueryValidators,
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { limit = 20, cursor } = req.query;
+    const resultLimit = parseInt(limit);
+    const filters = pickFilters(matchedData(req, { locations: ['query'] }));
+
+    // Later pages reuse the query text and origin from the first page
+    let page;
+    if (cursor) {
+      page = decodeCursor(cursor);
+      if (!page || typeof page.q !== 'string' || !Number.isFinite(page.score) ||
+          !/^[0-9a-f-]{36}$/i.test(page.id) ||
+          (page.origin && (!Number.isFinite(page.origin.lat) || !Number.isFinite(page.origin.lng)))) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    } else {
+      let origin = null;
+      if (req.query.near) {
+        if (req.query.lat && req.query.lng) {
+          origin = { lat: parseFloat(req.query.lat), lng: parseFloat(req.query.lng) };
+        } else if (req.user.location_lat !== null) {
+          origin = { lat: parseFloat(req.user.location_lat), lng: parseFloat(req.user.location_lng) };
+        }
+      }
+      page = { q: req.query.q || '', origin };
+    }
+
+    if (!page.q && Object.keys(filters).length === 0) {
+      return res.status(400).json({ error: 'Search query required' });
+    }
+
+    const params = [req.user.id];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    // Relevance parts; each is 0 when there's no query text. A filters-only search gives
+    // everyone the same base relevance instead, so with an origin the distance weighting
+    // orders results nearest first rather than leaving every score at 0.
+    const baseRelevance = page.q ? '0' : '1';
+    let textRank = '0::float8';
+    let nameSimilarity = '0::float8';
+    let tagMatch = 'false';
+    let textCondition = '';
+    if (page.q) {
+      const qParam = param(page.q);
+      const tagParam = param(`${escapeLike(page.q.toLowerCase())}%`);
+      const tsquery = buildPrefixTsquery(page.q);
+      const tsqueryParam = tsquery ? param(tsquery) : null;
+
+      tagMatch = `EXISTS (
+          SELECT 1 FROM user_tags ut
+          JOIN tags t ON t.id = ut.tag_id
+          WHERE ut.user_id = users.id AND t.name ILIKE ${tagParam}
+        )`;
+      nameSimilarity = `similarity(username, ${qParam})::float8`;
+      const matches = [`username % ${qParam}`, tagMatch];
+      if (tsqueryParam) {
+        textRank = `ts_rank_cd(search_vector, to_tsquery('simple', ${tsqueryParam}))::float8`;
+        matches.unshift(`search_vector @@ to_tsquery('simple', ${tsqueryParam})`);
+      }
+      textCondition = `AND (${matches.join(' OR ')})`;
+    }
+
+    const distance = page.origin
+      ? await buildDistanceExpression(page.origin.lat, page.origin.lng, params)
+      : 'NULL::float8';
+    const distanceWeight = page.origin
+      ? `(1 + COALESCE(distance, ${SEARCH_UNKNOWN_DISTANCE_KM}) / ${SEARCH_DISTANCE_SCALE_KM})`
+      : '1';
+
+    const filterConditions = buildDiscoveryFilters(filters, params)
+      .map(condition => `AND ${condition}`)
+      .join('\n          ');
+
+    let pageCondition = '';
+    if (cursor) {
+      const scoreParam = param(page.score);
+      const idParam = param(page.id);
+      pageCondition = `WHERE score < ${scoreParam}::float8 OR (score = ${scoreParam}::float8 AND id > ${idParam}::uuid)`;
+    }
+
+    // Fetch one extra row to know whether there is another page
+    const limitParam = param(resultLimit + 1);
+
+    const result = await query(
+      `WITH candidates AS (
+        SELECT 
+          id, username, age, bio, account_type, subscription_status, is_subscribed, is_online,
+          location_privacy, ${PROFILE_FIELD_COLUMNS},
+          ${isMatchExpression('$1', 'users.id')} AS is_match,
+          ${textRank} AS text_rank,
+          ${nameSimilarity} AS name_similarity,
+          ${tagMatch} AS tag_match,
+          ${distance} AS distance
+        FROM users
+        WHERE account_type NOT IN ('anonymous', 'deleted')
+          AND deletion_scheduled_at IS NULL
+          AND id != $1
+          AND ${notBlockedCondition('users.id', '$1')}
+          AND ${incognitoVisibleCondition('$1')}
+          ${textCondition}
+          ${filterConditions}
+      ),
+      scored AS (
+        SELECT *,
+          ((${baseRelevance} + text_rank + name_similarity + CASE WHEN tag_match THEN ${SEARCH_TAG_BONUS} ELSE 0 END)
+            / ${distanceWeight})::float8 AS score
+        FROM candidates
+      )
+      SELECT * FROM scored
+      ${pageCondition}
+      ORDER BY score DESC, id
+      LIMIT ${limitParam}`,
+      params
+    );
+
+    const hasMore = result.rows.length > resultLimit;
+    const rows = result.rows.slice(0, resultLimit);
+    const last = rows[rows.length - 1];
+    const nextCursor = hasMore ? encodeCursor({
+      q: page.q,
+      origin: page.origin,
+      score: last.score,
+      id: last.id
+    }) : null;
+
+    const users = rows.map(user => ({
+      id: user.id,
+      username: user.username,
+      age: user.age,
+      bio: user.bio,
+      accountType: user.account_type,
+      subscriptionStatus: user.subscription_status,
+      isSubscribed: user.is_subscribed,
+      isOnline: user.is_online,
+      ...(page.origin ? publicDistance(user.distance, user.location_privacy) : {}),
+      profileFields: publicProfileFields(user, { isMatch: user.is_match })
+    }));
+
+    res.json({ users, nextCursor, filters });
+  } catch (error) {
+    console.error('Search users error:', error);
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+// List the current user's favorites
+router.get('/favorites', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT u.id, u.username, u.age, u.bio, u.account_type, u.is_subscribed, u.is_online, u.last_active,
+         f.created_at AS favorited_at
+       FROM favorites f
+       JOIN users u ON u.id = f.favorite_user_id
+       WHERE f.user_id = $1
+         AND u.account_type != 'deleted'
+         AND u.deletion_scheduled_at IS NULL
+       ORDER BY u.is_online DESC, f.created_at DESC`,
+      [req.user.id]
+    );
+
+    const favorites = result.rows.map(row => ({
+      user: {
+        id: row.id,
+        username: row.username,
+        age: row.age,
+        bio: row.bio,
+        accountType: row.account_type,
+        isSubscribed: row.is_subscribed,
+        isOnline: row.is_online,
+        lastActive: row.last_active
+      },
+      favoritedAt: row.favorited_at
+    }));
+
+    res.json({ favorites });
+  } catch (error) {
+    console.error('Get favorites error:', error);
+    res.status(500).json({ error: 'Failed to get favorites' });
+  }
+});
+
+// Star a user. They'll trigger a favorite:online event when they come online.
+router.post('/favorites', authenticate, [
+  body('userId').isUUID().withMessage('Invalid user id'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId } = req.body;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot favorite yourself' });
+    }
+
+    const target = await query(
+      `SELECT id FROM users
+       WHERE id = $1 AND account_type NOT IN ('anonymous', 'deleted') AND ${notBlockedCondition('users.id', '$2')}`,
+      [userId, req.user.id]
+    );
+    if (target.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await query(
+      'INSERT INTO favorites (user_id, favorite_user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [req.user.id, userId]
+    );
+
+    res.status(201).json({ message: 'Added to favorites' });
+  } catch (error) {
+    console.error('Add favorite error:', error);
+    res.status(500).json({ error: 'Failed to add favorite' });
+  }
+});
+
+// Remove a user from favorites
+router.delete('/favorites/:userId', authenticate, [
+  param('userId').isUUID().withMessage('Invalid user id'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      'DELETE FROM favorites WHERE user_id = $1 AND favorite_user_id = $2',
+      [req.user.id, req.params.userId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Favorite not found' });
+    }
+
+    res.json({ message: 'Removed from favorites' });
+  } catch (error) {
+    console.error('Remove favorite error:', error);
+    res.status(500).json({ error: 'Failed to remove favorite' });
+  }
+});
+
+// List users the current user has blocked
+router.get('/blocks', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT u.id, u.username, b.created_at AS blocked_at
+       FROM blocks b
+       JOIN users u ON u.id = b.blocked_id
+       WHERE b.blocker_id = $1
+       ORDER BY b.created_at DESC`,
+      [req.user.id]
+    );
+
+    const blocks = result.rows.map(row => ({
+      user: {
+        id: row.id,
+        username: row.username
+      },
+      blockedAt: row.blocked_at
+    }));
+
+    res.json({ blocks });
+  } catch (error) {
+    console.error('Get blocks error:', error);
+    res.status(500).json({ error: 'Failed to get blocked users' });
+  }
+});
+
+// Block a user. Blocks work both ways: neither user can find, view or message the other.
+router.post('/:id/block', authenticate, [
+  param('id').isUUID().withMessage('Invalid user id'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot block yourself' });
+    }
+
+    const target = await query(
+      `SELECT id FROM users WHERE id = $1 AND account_type != 'deleted'`,
+      [id]
+    );
+    if (target.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await query(
+      'INSERT INTO blocks (blocker_id, blocked_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [req.user.id, id]
+    );
+    await query(
+      `DELETE FROM favorites
+       WHERE (user_id = $1 AND favorite_user_id = $2) OR (user_id = $2 AND favorite_user_id = $1)`,
+      [req.user.id, id]
+    );
+
+    // Stop typing indicators and live messages between them straight away
+    separateUsers(req.app.get('io'), req.user.id, id);
+
+    res.status(201).json({ message: 'User blocked' });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+// Unblock a user
+router.delete('/:id/block', authenticate, [
+  param('id').isUUID().withMessage('Invalid user id'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(
+      'DELETE FROM blocks WHERE blocker_id = $1 AND blocked_id = $2',
+      [req.user.id, req.params.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Block not found' });
+    }
+
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
 // Get user profile
 router.get('/:id', authenticate, async (req, res) => {
   try {
@@ -76,11 +942,15 @@ router.get('/:id', authenticate, async (req, res) => {
 
     const result = await query(
       `SELECT 
-        id, username, age, bio, location_lat, location_lng,
-        account_type, subscription_status, is_subscribed, is_nsfw, is_online, last_active, created_at
+        id, username, age, bio, location_lat, location_lng, location_privacy,
+        account_type, subscription_status, is_subscribed, is_nsfw, is_online, last_active, created_at,
+        travel_lat, travel_lng, travel_place, travel_expires_at,
+        ${PROFILE_FIELD_COLUMNS},
+        ${isMatchExpression('$2', 'users.id')} AS is_match
       FROM users
-      WHERE id = $1`,
-      [id]
+      WHERE id = $1 AND account_type != 'deleted' AND (deletion_scheduled_at IS NULL OR id = $2)
+        AND ${notBlockedCondition('users.id', '$2')}`,
+      [id, req.user.id]
     );
 
     if (result.rows.length === 0) {
@@ -89,6 +959,11 @@ router.get('/:id', authenticate, async (req, res) => {
 
     const user = result.rows[0];
 
+    // Record the view for the profile owner's "who viewed me" list (not while incognito)
+    if (!req.user.is_incognito) {
+      recordProfileView(req.user.id, id).catch(error => console.error('Record profile view error:', error));
+    }
+
     // Get user's photos
     const photosResult = await query(
       'SELECT id, url, is_nsfw, is_profile_picture, created_at FROM photos WHERE user_id = $1 ORDER BY created_at DESC',
@@ -101,16 +976,16 @@ router.get('/:id', authenticate, async (req, res) => {
       username: user.username,
       age: user.age,
       bio: user.bio,
-      location: user.location_lat ? {
-        lat: parseFloat(user.location_lat),
-        lng: parseFloat(user.location_lng)
-      } : null,
+      location: publicLocation(user),
       accountType: user.account_type,
       subscriptionStatus: user.subscription_status,
       isSubscribed: user.is_subscribed,
       isNSFW: user.is_nsfw,
       isOnline: user.is_online,
       lastActive: user.last_active,
+      profileFields: publicProfileFields(user, { isSelf: user.id === req.user.id, isMatch: user.is_match }),
+      tags: await getUserTags(user.id),
+      visiting: visitingBadge(user, req.user),
       createdAt: user.created_at,
       photos: photosResult.rows.map(photo => ({
         id: photo.id,
@@ -137,10 +1012,7 @@ router.post('/location', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Latitude and longitude required' });
     }
 
-    await query(
-      'UPDATE users SET location_lat = $1, location_lng = $2, last_active = NOW() WHERE id = $3',
-      [lat, lng, req.user.id]
-    );
+    await updateUserLocation(req.app.get('io'), req.user.id, lat, lng);
 
     res.json({ message: 'Location updated' });
   } catch (error) {
@@ -149,15 +1021,19 @@ router.post('/location', authenticate, async (req, res) => {
   }
 });
 
-// Update online status
+// Update online status for clients without a socket. Counts as one presence connection
+// per session; call it with isOnline: true at least every PRESENCE_TIMEOUT_MS to stay online.
 router.post('/online', authenticate, async (req, res) => {
   try {
     const { isOnline } = req.body;
+    const io = req.app.get('io');
+    const connectionId = `rest:${req.sessionId}`;
 
-    await query(
-      'UPDATE users SET is_online = $1, last_active = NOW() WHERE id = $2',
-      [isOnline, req.user.id]
-    );
+    if (isOnline) {
+      await connectPresence(io, req.user.id, connectionId);
+    } else {
+      await disconnectPresence(io, req.user.id, connectionId);
+    }
 
     res.json({ message: 'Online status updated' });
   } catch (error) {
@@ -166,31 +1042,4 @@ router.post('/online', authenticate, async (req, res) => {
   }
 });
 
-// Search users
-router.get('/search', authenticate, async (req, res) => {
-  try {
-    const { q, limit = 20 } = req.query;
-
-    if (!q) {
-      return res.status(400).json({ error: 'Search query required' });
-    }
-
-    const result = await query(
-      `SELECT 
-        id, username, age, bio, account_type, subscription_status, is_subscribed, is_online
-      FROM users
-      WHERE account_type != 'anonymous'
-        AND (username ILIKE $1 OR bio ILIKE $1)
-        AND id != $2
-      LIMIT $3`,
-      [`%${q}%`, req.user.id, Math.min(parseInt(limit), 50)]
-    );
-
-    res.json({ users: result.rows });
-  } catch (error) {
-    console.error('Search users error:', error);
-    res.status(500).json({ error: 'Failed to search users' });
-  }
-});
-
 export default router;
@@ -18,10 +18,29 @@ import userRoutes from './routes/users.js';
 import messageRoutes from './routes/messages.js';
 import photoRoutes from './routes/photos.js';
 import paymentRoutes from './routes/payments.js';
+import groupRoutes from './routes/groups.js';
 
 // Import middleware
 import { authenticate, verifyToken } from './middleware/auth.js';
 import { query } from './utils/db.js';
+import { isSessionActive, touchSession } from './utils/sessions.js';
+import { geoRoomFor, updateUserLocation } from './utils/geoRooms.js';
+import {
+  SERVER_ID,
+  PRESENCE_HEARTBEAT_MS,
+  connectPresence,
+  disconnectPresence,
+  heartbeatServerPresence,
+  sweepStalePresence
+} from './utils/presence.js';
+import { scheduleJob } from './utils/scheduler.js';
+import { notBlockedCondition, isBlockedBetween } from './utils/blocks.js';
+import { groupRoom, getMembership, joinUserGroupRooms, sendGroupMessage } from './utils/groups.js';
+import { runScheduledDeletions } from './utils/accountDeletion.js';
+import { purgeStaleAnonymousUsers, formatCleanupReport } from './utils/anonymousCleanup.js';
+import { pruneProfileViews } from './utils/profileViews.js';
+import { clearExpiredTravel } from './utils/travel.js';
+import { failStaleExports, purgeExpiredExports } from './utils/dataExport.js';
 
 const app = express();
 const httpServer = createServer(app);
@@ -35,6 +54,14 @@ const io = new Server(httpServer, {
   }
 });
 
+// Make Socket.io available to routes via req.app.get('io')
+app.set('io', io);
+
+// Behind a reverse proxy req.ip must come from X-Forwarded-For for per-IP rate limits
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
@@ -75,6 +102,7 @@ app.use('/api/users', userRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/photos', photoRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/groups', groupRoutes);
 
 // Socket.io authentication middleware
 io.use(async (socket, next) => {
@@ -86,8 +114,13 @@ io.use(async (socket, next) => {
     }
 
     const decoded = verifyToken(token);
+
+    if (!(await isSessionActive(decoded.sessionId, decoded.userId))) {
+      return next(new Error('Session revoked'));
+    }
+
     const result = await query(
-      'SELECT id, username, account_type FROM users WHERE id = $1',
+      'SELECT id, username, account_type, location_lat, location_lng FROM users WHERE id = $1',
       [decoded.userId]
     );
 
@@ -98,6 +131,11 @@ io.use(async (socket, next) => {
     socket.userId = result.rows[0].id;
     socket.username = result.rows[0].username;
     socket.accountType = result.rows[0].account_type;
+    socket.sessionId = decoded.sessionId;
+    socket.data.sessionId = decoded.sessionId;
+    socket.data.location = result.rows[0].location_lat !== null
+      ? { lat: result.rows[0].location_lat, lng: result.rows[0].location_lng }
+      : null;
     next();
   } catch (error) {
     console.error('Socket auth error:', error);
@@ -112,18 +150,36 @@ io.on('connection', (socket) => {
   // Join user's personal room for direct messages
   socket.join(`user:${socket.userId}`);
 
-  // Update user's online status
-  query('UPDATE users SET is_online = true, last_active = NOW() WHERE id = $1', [socket.userId]);
+  // Join the geographic cell room for the user's last known location
+  const geoRoom = geoRoomFor(socket.data.location);
+  if (geoRoom) {
+    socket.join(geoRoom);
+  }
 
-  // Broadcast to all users that this user is online
-  socket.broadcast.emit('user:online', { userId: socket.userId });
+  // Join the rooms for the user's group conversations
+  joinUserGroupRooms(socket, socket.userId).catch(error => console.error('Join group rooms error:', error));
 
-  // Handle joining a chat room
-  socket.on('chat:join', (data) => {
-    const { userId } = data;
-    const roomId = [socket.userId, userId].sort().join('-');
-    socket.join(`chat:${roomId}`);
-    console.log(`User ${socket.username} joined chat room ${roomId}`);
+  touchSession(socket.sessionId).catch(error => console.error('Touch session error:', error));
+
+  // Register this connection; user:online goes to nearby users only if it's the
+  // user's first live connection
+  connectPresence(io, socket.userId, `socket:${socket.id}`, SERVER_ID)
+    .catch(error => console.error('Presence connect error:', error));
+
+  // Handle joining a chat room. Blocked pairs can't share a room, which also keeps
+  // typing indicators and live messages from reaching them.
+  socket.on('chat:join', async (data) => {
+    try {
+      const { userId } = data;
+      if (await isBlockedBetween(socket.userId, userId)) {
+        return;
+      }
+      const roomId = [socket.userId, userId].sort().join('-');
+      socket.join(`chat:${roomId}`);
+      console.log(`User ${socket.username} joined chat room ${roomId}`);
+    } catch (error) {
+      console.error('Chat join error:', error);
+    }
   });
 
   // Handle leaving a chat room
@@ -139,6 +195,19 @@ io.on('connection', (socket) => {
     try {
       const { receiverId, content, imageUrl } = data;
 
+      // Check if recipient exists and can receive messages (blocked either way looks
+      // the same as not existing)
+      const recipient = await query(
+        `SELECT id FROM users
+         WHERE id = $1 AND account_type != 'deleted' AND deletion_scheduled_at IS NULL
+           AND ${notBlockedCondition('users.id', '$2')}`,
+        [receiverId, socket.userId]
+      );
+      if (recipient.rows.length === 0) {
+        socket.emit('message:error', { error: 'Recipient not found' });
+        return;
+      }
+
       // Check if user is anonymous and has exceeded message limit
       if (socket.accountType === 'anonymous') {
         const messageCount = await query(
@@ -209,22 +278,56 @@ io.on('connection', (socket) => {
     socket.to(`chat:${roomId}`).emit('typing:stop', { userId: socket.userId });
   });
 
+  // Handle sending a group message
+  socket.on('group:message:send', async (data) => {
+    try {
+      const { groupId, content, imageUrl } = data;
+
+      if (!content && !imageUrl) {
+        socket.emit('message:error', { error: 'Message content or image required' });
+        return;
+      }
+      if (content && String(content).length > 2000) {
+        socket.emit('message:error', { error: 'Message too long' });
+        return;
+      }
+
+      if (!(await getMembership(groupId, socket.userId))) {
+        socket.emit('message:error', { error: 'Group not found' });
+        return;
+      }
+
+      // The sender gets it back through the group room
+      await sendGroupMessage(io, groupId, { id: socket.userId, username: socket.username }, { content, imageUrl });
+    } catch (error) {
+      console.error('Socket group message error:', error);
+      socket.emit('message:error', { error: 'Failed to send message' });
+    }
+  });
+
+  // Group typing indicators (only from sockets that are in the group's room)
+  socket.on('group:typing:start', (data) => {
+    const room = groupRoom(data.groupId);
+    if (socket.rooms.has(room)) {
+      socket.to(room).emit('group:typing:start', { groupId: data.groupId, userId: socket.userId });
+    }
+  });
+
+  socket.on('group:typing:stop', (data) => {
+    const room = groupRoom(data.groupId);
+    if (socket.rooms.has(room)) {
+      socket.to(room).emit('group:typing:stop', { groupId: data.groupId, userId: socket.userId });
+    }
+  });
+
   // Handle location update
   socket.on('location:update', async (data) => {
     try {
       const { lat, lng } = data;
-      
-      await query(
-        'UPDATE users SET location_lat = $1, location_lng = $2, last_active = NOW() WHERE id = $3',
-        [lat, lng, socket.userId]
-      );
 
-      // Broadcast location update to nearby users (simplified)
-      socket.broadcast.emit('user:location', { 
-        userId: socket.userId, 
-        lat, 
-        lng 
-      });
+      // Moves the user's sockets between cell rooms and notifies users near the
+      // old and new positions (privacy-reduced location only)
+      await updateUserLocation(io, socket.userId, lat, lng);
     } catch (error) {
       console.error('Location update error:', error);
     }
@@ -234,14 +337,61 @@ io.on('connection', (socket) => {
   socket.on('disconnect', async () => {
     console.log(`User disconnected: ${socket.username} (${socket.userId})`);
     
-    // Update user's online status
-    await query('UPDATE users SET is_online = false, last_active = NOW() WHERE id = $1', [socket.userId]);
-    
-    // Broadcast to all users that this user is offline
-    socket.broadcast.emit('user:offline', { userId: socket.userId });
+    // Only goes offline (and tells nearby users) once the last connection closes
+    try {
+      await disconnectPresence(io, socket.userId, `socket:${socket.id}`);
+    } catch (error) {
+      console.error('Presence disconnect error:', error);
+    }
   });
 });
 
+// Background jobs
+scheduleJob('account-deletion', parseInt(process.env.ACCOUNT_DELETION_INTERVAL_MS || String(60 * 60 * 1000)), async () => {
+  const deleted = await runScheduledDeletions(io);
+  if (deleted > 0) {
+    console.log(`Deleted ${deleted} scheduled account(s)`);
+  }
+});
+
+scheduleJob('anonymous-cleanup', parseInt(process.env.ANONYMOUS_CLEANUP_INTERVAL_MS || String(60 * 60 * 1000)), async () => {
+  const report = await purgeStaleAnonymousUsers({ dryRun: process.env.ANONYMOUS_CLEANUP_DRY_RUN === 'true' });
+  console.log(formatCleanupReport(report));
+});
+
+scheduleJob('profile-views-cleanup', 24 * 60 * 60 * 1000, async () => {
+  const pruned = await pruneProfileViews();
+  if (pruned > 0) {
+    console.log(`Pruned ${pruned} old profile view(s)`);
+  }
+});
+
+scheduleJob('travel-expiry', 60 * 60 * 1000, async () => {
+  const cleared = await clearExpiredTravel();
+  if (cleared > 0) {
+    console.log(`Cleared ${cleared} expired travel location(s)`);
+  }
+});
+
+scheduleJob('data-export-cleanup', 60 * 60 * 1000, async () => {
+  const failed = await failStaleExports();
+  const purged = await purgeExpiredExports();
+  if (failed > 0 || purged > 0) {
+    console.log(`Failed ${failed} stale export(s), deleted ${purged} expired archive(s)`);
+  }
+});
+
+// Keep this process's socket connections fresh, and mark users offline once all of
+// their connections have missed heartbeats (e.g. after another server crashed)
+scheduleJob('presence-heartbeat', PRESENCE_HEARTBEAT_MS, () => heartbeatServerPresence());
+
+scheduleJob('presence-sweeper', parseInt(process.env.PRESENCE_SWEEP_INTERVAL_MS || '60000'), async () => {
+  const swept = await sweepStalePresence(io);
+  if (swept > 0) {
+    console.log(`Marked ${swept} stale user(s) offline`);
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Error:', err);
@@ -0,0 +1,98 @@
+import fs from 'fs';
+import { query, getClient } from './db.js';
+import stripe from './stripe.js';
+import { photoFilePath } from './uploads.js';
+import { repairGroups } from './groups.js';
+
+export const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14');
+
+const cancelStripeSubscriptions = async (userId) => {
+  const result = await query(
+    `SELECT stripe_subscription_id FROM subscriptions
+     WHERE user_id = $1 AND status IN ('active', 'canceling', 'past_due', 'trialing')`,
+    [userId]
+  );
+
+  for (const row of result.rows) {
+    try {
+      await stripe.subscriptions.cancel(row.stripe_subscription_id);
+    } catch (error) {
+      // Already gone on Stripe's side is fine; anything else should stop the deletion
+      if (error.code !== 'resource_missing') {
+        throw error;
+      }
+    }
+  }
+};
+
+// Permanently delete an account. Messages are moved to a per-user tombstone row so the
+// other side of each conversation still shows "Deleted user"; everything else (photos,
+// subscriptions, sessions, tokens, exports) goes with the users row via ON DELETE CASCADE.
+export const deleteAccount = async (userId, io) => {
+  await cancelStripeSubscriptions(userId);
+
+  const photos = await query('SELECT url FROM photos WHERE user_id = $1', [userId]);
+  const exports = await query('SELECT file_path FROM data_exports WHERE user_id = $1 AND file_path IS NOT NULL', [userId]);
+  const groups = await query('SELECT group_id FROM group_members WHERE user_id = $1', [userId]);
+
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const tombstone = await client.query(
+      `INSERT INTO users (username, account_type)
+       VALUES ($1, 'deleted')
+       RETURNING id`,
+      [`deleted_${userId.replace(/-/g, '').substring(0, 16)}`]
+    );
+    const tombstoneId = tombstone.rows[0].id;
+
+    await client.query('UPDATE messages SET sender_id = $1 WHERE sender_id = $2', [tombstoneId, userId]);
+    await client.query('UPDATE messages SET receiver_id = $1 WHERE receiver_id = $2', [tombstoneId, userId]);
+    await client.query('UPDATE group_messages SET sender_id = $1 WHERE sender_id = $2', [tombstoneId, userId]);
+    await client.query('DELETE FROM users WHERE id = $1', [userId]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Groups they were the last admin (or member) of get a new admin or are removed
+  await repairGroups(groups.rows.map(row => row.group_id));
+
+  // Files only go once the database rows are gone
+  const filePaths = [
+    ...photos.rows.map(photo => photoFilePath(photo.url)),
+    ...exports.rows.map(row => row.file_path)
+  ].filter(Boolean);
+
+  for (const filePath of filePaths) {
+    await fs.promises.rm(filePath, { force: true });
+  }
+
+  if (io) {
+    io.in(`user:${userId}`).disconnectSockets(true);
+  }
+
+  console.log(`Account ${userId} deleted`);
+};
+
+// Delete every account whose grace period has run out
+export const runScheduledDeletions = async (io) => {
+  const result = await query(
+    'SELECT id FROM users WHERE deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= NOW() LIMIT 50'
+  );
+
+  for (const row of result.rows) {
+    try {
+      await deleteAccount(row.id, io);
+    } catch (error) {
+      console.error(`Failed to delete account ${row.id}:`, error);
+    }
+  }
+
+  return result.rows.length;
+};
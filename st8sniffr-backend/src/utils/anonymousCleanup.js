@@ -0,0 +1,78 @@
+import { query } from './db.js';
+import { ANONYMOUS_TTL_HOURS } from './sessions.js';
+
+// Anonymous users idle past the TTL. A session refreshed inside the window also counts
+// as activity, since not every request touches users.last_active.
+const STALE_ANONYMOUS_USERS = `
+  SELECT u.id FROM users u
+  WHERE u.account_type = 'anonymous'
+    AND u.last_active < NOW() - make_interval(hours => $1)
+    AND NOT EXISTS (
+      SELECT 1 FROM sessions s
+      WHERE s.user_id = u.id AND s.last_used_at >= NOW() - make_interval(hours => $1)
+    )
+`;
+
+// Delete stale anonymous users; their messages go with them via ON DELETE CASCADE.
+// With dryRun nothing is deleted and the report shows what would have been.
+export const purgeStaleAnonymousUsers = async ({ dryRun = false, ttlHours = ANONYMOUS_TTL_HOURS, batchSize = 500 } = {}) => {
+  const report = {
+    dryRun,
+    ttlHours,
+    startedAt: new Date().toISOString(),
+    users: 0,
+    messages: 0
+  };
+
+  if (dryRun) {
+    const result = await query(
+      `WITH stale AS (${STALE_ANONYMOUS_USERS})
+       SELECT
+         (SELECT COUNT(*) FROM stale) AS users,
+         (SELECT COUNT(*) FROM messages
+          WHERE sender_id IN (SELECT id FROM stale) OR receiver_id IN (SELECT id FROM stale)) AS messages`,
+      [ttlHours]
+    );
+
+    report.users = parseInt(result.rows[0].users);
+    report.messages = parseInt(result.rows[0].messages);
+  } else {
+    // Work in batches so one run never holds a huge delete open
+    while (true) {
+      const stale = await query(`${STALE_ANONYMOUS_USERS} LIMIT $2`, [ttlHours, batchSize]);
+      const ids = stale.rows.map(row => row.id);
+
+      if (ids.length === 0) {
+        break;
+      }
+
+      const messages = await query(
+        'SELECT COUNT(*) FROM messages WHERE sender_id = ANY($1::uuid[]) OR receiver_id = ANY($1::uuid[])',
+        [ids]
+      );
+
+      // Re-check staleness in case someone came back between the select and the delete
+      const deleted = await query(
+        `DELETE FROM users
+         WHERE id = ANY($2::uuid[])
+           AND id IN (${STALE_ANONYMOUS_USERS})`,
+        [ttlHours, ids]
+      );
+
+      report.users += deleted.rowCount;
+      report.messages += parseInt(messages.rows[0].count);
+
+      if (ids.length < batchSize) {
+        break;
+      }
+    }
+  }
+
+  report.finishedAt = new Date().toISOString();
+  return report;
+};
+
+export const formatCleanupReport = (report) => {
+  const verb = report.dryRun ? 'Would delete' : 'Deleted';
+  return `${verb} ${report.users} anonymous user(s) idle for more than ${report.ttlHours}h and ${report.messages} message(s)`;
+};
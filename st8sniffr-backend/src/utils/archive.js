@@ -0,0 +1,69 @@
+import fs from 'fs';
+import zlib from 'zlib';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+
+const BLOCK_SIZE = 512;
+
+const writeString = (buffer, value, offset, length) => {
+  buffer.write(value.substring(0, length), offset, length, 'utf8');
+};
+
+const writeOctal = (buffer, value, offset, length) => {
+  writeString(buffer, value.toString(8).padStart(length - 1, '0') + '\0', offset, length);
+};
+
+// 512-byte ustar header for a regular file
+const buildHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(BLOCK_SIZE);
+
+  writeString(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.fill(' ', 148, 156);
+  writeString(header, '0', 156, 1);
+  writeString(header, 'ustar\0', 257, 6);
+  writeString(header, '00', 263, 2);
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  writeString(header, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+
+  return header;
+};
+
+// Minimal streaming .tar.gz writer for export archives
+export const createTarGzWriter = (filePath) => {
+  const gzip = zlib.createGzip();
+  const output = fs.createWriteStream(filePath);
+  gzip.pipe(output);
+
+  const write = async (chunk) => {
+    if (!gzip.write(chunk)) {
+      await once(gzip, 'drain');
+    }
+  };
+
+  return {
+    addFile: async (name, content, mtime = new Date()) => {
+      const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+      await write(buildHeader(name, data.length, mtime));
+      await write(data);
+
+      const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+      if (padding > 0) {
+        await write(Buffer.alloc(padding));
+      }
+    },
+    finalize: async () => {
+      await write(Buffer.alloc(BLOCK_SIZE * 2));
+      gzip.end();
+      await finished(output);
+    }
+  };
+};
@@ -0,0 +1,59 @@
+import { query } from './db.js';
+
+// Blocks apply in both directions: once either user blocks the other, neither can see,
+// message or get realtime events from the other.
+
+// SQL condition that is true when the user in `column` and the user in `userParam`
+// have not blocked each other
+export const notBlockedCondition = (column, userParam) => {
+  return `NOT EXISTS (
+    SELECT 1 FROM blocks b
+    WHERE (b.blocker_id = ${userParam} AND b.blocked_id = ${column})
+       OR (b.blocker_id = ${column} AND b.blocked_id = ${userParam})
+  )`;
+};
+
+// Same, against every user in the uuid[] `usersParam`
+export const notBlockedWithAnyCondition = (column, usersParam) => {
+  return `NOT EXISTS (
+    SELECT 1 FROM blocks b
+    WHERE (b.blocker_id = ANY(${usersParam}::uuid[]) AND b.blocked_id = ${column})
+       OR (b.blocker_id = ${column} AND b.blocked_id = ANY(${usersParam}::uuid[]))
+  )`;
+};
+
+export const isBlockedBetween = async (userId, otherUserId) => {
+  const result = await query(
+    `SELECT 1 FROM blocks
+     WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)
+     LIMIT 1`,
+    [userId, otherUserId]
+  );
+  return result.rows.length > 0;
+};
+
+// Everyone the user has blocked or been blocked by
+export const getBlockedUserIds = async (userId) => {
+  const result = await query(
+    `SELECT blocked_id AS id FROM blocks WHERE blocker_id = $1
+     UNION
+     SELECT blocker_id AS id FROM blocks WHERE blocked_id = $1`,
+    [userId]
+  );
+  return result.rows.map(row => row.id);
+};
+
+export const chatRoomFor = (userId, otherUserId) => {
+  return `chat:${[userId, otherUserId].sort().join('-')}`;
+};
+
+// Take both users' sockets out of their shared chat room so typing indicators and
+// live messages stop immediately
+export const separateUsers = (io, userId, otherUserId) => {
+  if (!io) {
+    return;
+  }
+  const room = chatRoomFor(userId, otherUserId);
+  io.in(`user:${userId}`).socketsLeave(room);
+  io.in(`user:${otherUserId}`).socketsLeave(room);
+};
@@ -0,0 +1,106 @@
+import { haversineKm } from './geo.js';
+
+// Bundled offline city list for travel mode (no geocoding service needed)
+export const CITIES = [
+  { name: 'Amsterdam', country: 'NL', lat: 52.3676, lng: 4.9041 },
+  { name: 'Athens', country: 'GR', lat: 37.9838, lng: 23.7275 },
+  { name: 'Atlanta', country: 'US', lat: 33.749, lng: -84.388 },
+  { name: 'Austin', country: 'US', lat: 30.2672, lng: -97.7431 },
+  { name: 'Bangkok', country: 'TH', lat: 13.7563, lng: 100.5018 },
+  { name: 'Barcelona', country: 'ES', lat: 41.3874, lng: 2.1686 },
+  { name: 'Berlin', country: 'DE', lat: 52.52, lng: 13.405 },
+  { name: 'Bogotá', country: 'CO', lat: 4.711, lng: -74.0721 },
+  { name: 'Boston', country: 'US', lat: 42.3601, lng: -71.0589 },
+  { name: 'Brussels', country: 'BE', lat: 50.8503, lng: 4.3517 },
+  { name: 'Buenos Aires', country: 'AR', lat: -34.6037, lng: -58.3816 },
+  { name: 'Cape Town', country: 'ZA', lat: -33.9249, lng: 18.4241 },
+  { name: 'Chicago', country: 'US', lat: 41.8781, lng: -87.6298 },
+  { name: 'Copenhagen', country: 'DK', lat: 55.6761, lng: 12.5683 },
+  { name: 'Dallas', country: 'US', lat: 32.7767, lng: -96.797 },
+  { name: 'Denver', country: 'US', lat: 39.7392, lng: -104.9903 },
+  { name: 'Dublin', country: 'IE', lat: 53.3498, lng: -6.2603 },
+  { name: 'Edinburgh', country: 'GB', lat: 55.9533, lng: -3.1883 },
+  { name: 'Fort Lauderdale', country: 'US', lat: 26.1224, lng: -80.1373 },
+  { name: 'Gran Canaria', country: 'ES', lat: 27.7606, lng: -15.586 },
+  { name: 'Hong Kong', country: 'HK', lat: 22.3193, lng: 114.1694 },
+  { name: 'Honolulu', country: 'US', lat: 21.3069, lng: -157.8583 },
+  { name: 'Houston', country: 'US', lat: 29.7604, lng: -95.3698 },
+  { name: 'Istanbul', country: 'TR', lat: 41.0082, lng: 28.9784 },
+  { name: 'Johannesburg', country: 'ZA', lat: -26.2041, lng: 28.0473 },
+  { name: 'Las Vegas', country: 'US', lat: 36.1699, lng: -115.1398 },
+  { name: 'Lisbon', country: 'PT', lat: 38.7223, lng: -9.1393 },
+  { name: 'London', country: 'GB', lat: 51.5074, lng: -0.1278 },
+  { name: 'Los Angeles', country: 'US', lat: 34.0522, lng: -118.2437 },
+  { name: 'Madrid', country: 'ES', lat: 40.4168, lng: -3.7038 },
+  { name: 'Manchester', country: 'GB', lat: 53.4808, lng: -2.2426 },
+  { name: 'Melbourne', country: 'AU', lat: -37.8136, lng: 144.9631 },
+  { name: 'Mexico City', country: 'MX', lat: 19.4326, lng: -99.1332 },
+  { name: 'Miami', country: 'US', lat: 25.7617, lng: -80.1918 },
+  { name: 'Milan', country: 'IT', lat: 45.4642, lng: 9.19 },
+  { name: 'Montreal', country: 'CA', lat: 45.5017, lng: -73.5673 },
+  { name: 'Mumbai', country: 'IN', lat: 19.076, lng: 72.8777 },
+  { name: 'Munich', country: 'DE', lat: 48.1351, lng: 11.582 },
+  { name: 'Mykonos', country: 'GR', lat: 37.4467, lng: 25.3289 },
+  { name: 'New Orleans', country: 'US', lat: 29.9511, lng: -90.0715 },
+  { name: 'New York', country: 'US', lat: 40.7128, lng: -74.006 },
+  { name: 'Palm Springs', country: 'US', lat: 33.8303, lng: -116.5453 },
+  { name: 'Paris', country: 'FR', lat: 48.8566, lng: 2.3522 },
+  { name: 'Philadelphia', country: 'US', lat: 39.9526, lng: -75.1652 },
+  { name: 'Phoenix', country: 'US', lat: 33.4484, lng: -112.074 },
+  { name: 'Portland', country: 'US', lat: 45.5152, lng: -122.6784 },
+  { name: 'Prague', country: 'CZ', lat: 50.0755, lng: 14.4378 },
+  { name: 'Provincetown', country: 'US', lat: 42.0584, lng: -70.1786 },
+  { name: 'Puerto Vallarta', country: 'MX', lat: 20.6534, lng: -105.2253 },
+  { name: 'Rio de Janeiro', country: 'BR', lat: -22.9068, lng: -43.1729 },
+  { name: 'Rome', country: 'IT', lat: 41.9028, lng: 12.4964 },
+  { name: 'San Diego', country: 'US', lat: 32.7157, lng: -117.1611 },
+  { name: 'San Francisco', country: 'US', lat: 37.7749, lng: -122.4194 },
+  { name: 'São Paulo', country: 'BR', lat: -23.5505, lng: -46.6333 },
+  { name: 'Seattle', country: 'US', lat: 47.6062, lng: -122.3321 },
+  { name: 'Seoul', country: 'KR', lat: 37.5665, lng: 126.978 },
+  { name: 'Singapore', country: 'SG', lat: 1.3521, lng: 103.8198 },
+  { name: 'Stockholm', country: 'SE', lat: 59.3293, lng: 18.0686 },
+  { name: 'Sydney', country: 'AU', lat: -33.8688, lng: 151.2093 },
+  { name: 'Taipei', country: 'TW', lat: 25.033, lng: 121.5654 },
+  { name: 'Tel Aviv', country: 'IL', lat: 32.0853, lng: 34.7818 },
+  { name: 'Tokyo', country: 'JP', lat: 35.6762, lng: 139.6503 },
+  { name: 'Toronto', country: 'CA', lat: 43.6532, lng: -79.3832 },
+  { name: 'Vancouver', country: 'CA', lat: 49.2827, lng: -123.1207 },
+  { name: 'Vienna', country: 'AT', lat: 48.2082, lng: 16.3738 },
+  { name: 'Washington', country: 'US', lat: 38.9072, lng: -77.0369 },
+  { name: 'Zurich', country: 'CH', lat: 47.3769, lng: 8.5417 }
+];
+
+const normalizeName = (value) => {
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+};
+
+export const cityLabel = (city) => `${city.name}, ${city.country}`;
+
+// Exact match on "Paris" or "Paris, FR" (case and accent insensitive)
+export const findCity = (name) => {
+  const wanted = normalizeName(name);
+  return CITIES.find(city => normalizeName(city.name) === wanted || normalizeName(cityLabel(city)) === wanted) || null;
+};
+
+// Cities whose name starts with (or else contains) the search text
+export const searchCities = (text, limit = 10) => {
+  const wanted = normalizeName(text || '');
+  const prefix = CITIES.filter(city => normalizeName(city.name).startsWith(wanted));
+  const contains = CITIES.filter(city => !prefix.includes(city) && normalizeName(city.name).includes(wanted));
+  return [...prefix, ...contains].slice(0, limit);
+};
+
+// Closest bundled city within maxKm of a point, used to label raw coordinates
+export const nearestCity = (lat, lng, maxKm) => {
+  let nearest = null;
+  let nearestDistance = maxKm;
+  for (const city of CITIES) {
+    const distance = haversineKm(lat, lng, city.lat, city.lng);
+    if (distance <= nearestDistance) {
+      nearest = city;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+};
@@ -0,0 +1,28 @@
+import { purgeStaleAnonymousUsers, formatCleanupReport } from './anonymousCleanup.js';
+
+// Command-line entry point for the anonymous cleanup job in anonymousCleanup.js
+// Usage: node src/utils/cleanupAnonymousCli.js [--dry-run] [--ttl-hours=72]
+const runCleanup = async () => {
+  try {
+    const dryRun = process.argv.includes('--dry-run');
+    const ttlArg = process.argv.find(arg => arg.startsWith('--ttl-hours='));
+    const options = { dryRun };
+
+    if (ttlArg) {
+      options.ttlHours = parseInt(ttlArg.split('=')[1]);
+    }
+
+    console.log(`Cleaning up stale anonymous accounts${dryRun ? ' (dry run)' : ''}...`);
+
+    const report = await purgeStaleAnonymousUsers(options);
+
+    console.log(JSON.stringify(report, null, 2));
+    console.log(`\n✅ ${formatCleanupReport(report)}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error cleaning up anonymous accounts:', error);
+    process.exit(1);
+  }
+};
+
+runCleanup();
@@ -0,0 +1,27 @@
+import crypto from 'crypto';
+
+const CURSOR_SECRET = process.env.CURSOR_SECRET || process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const key = crypto.createHash('sha256').update(`cursor:${CURSOR_SECRET}`).digest();
+
+// Opaque pagination cursors. They're encrypted (AES-256-GCM) because they carry sort
+// keys such as distances that clients must not see; decodeCursor returns null for
+// anything malformed or tampered with.
+export const encodeCursor = (data) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+};
+
+export const decodeCursor = (cursor) => {
+  try {
+    const raw = Buffer.from(String(cursor), 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    const decrypted = Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+    const data = JSON.parse(decrypted.toString('utf8'));
+    return data && typeof data === 'object' ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,197 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { query } from './db.js';
+import { createTarGzWriter } from './archive.js';
+import { sendMail } from './mailer.js';
+import { photoFilePath } from './uploads.js';
+import { getUserTags } from './tags.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const exportsDir = path.join(__dirname, '../../exports');
+
+const EXPORT_TTL_DAYS = parseInt(process.env.DATA_EXPORT_TTL_DAYS || '7');
+// Exports still pending/processing after this long were lost (e.g. the process died)
+const EXPORT_TIMEOUT_MINUTES = parseInt(process.env.DATA_EXPORT_TIMEOUT_MINUTES || '30');
+
+// Everything we hold on a user, minus secrets (password hash, 2FA secret, token hashes)
+const collectUserData = async (userId) => {
+  const profile = await query(
+    `SELECT id, email, email_verified, email_verified_at, username, age, bio, location_lat, location_lng, location_privacy,
+       account_type, subscription_status, is_subscribed, stripe_customer_id, is_nsfw, is_online, is_incognito,
+       travel_lat, travel_lng, travel_place, travel_expires_at,
+       height_cm, weight_kg, body_type, position, relationship_status, looking_for, pronouns, profile_field_visibility,
+       totp_enabled, deletion_scheduled_at, last_active, created_at
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+
+  const messages = await query(
+    `SELECT id, sender_id, receiver_id, content, image_url, is_read, created_at
+     FROM messages
+     WHERE sender_id = $1 OR receiver_id = $1
+     ORDER BY created_at`,
+    [userId]
+  );
+
+  const photos = await query(
+    'SELECT id, url, is_nsfw, is_profile_picture, created_at FROM photos WHERE user_id = $1 ORDER BY created_at',
+    [userId]
+  );
+
+  const subscriptions = await query(
+    `SELECT id, stripe_subscription_id, stripe_customer_id, status, current_period_start, current_period_end, created_at
+     FROM subscriptions WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+
+  const sessions = await query(
+    'SELECT id, device, ip_address, created_at, last_used_at, expires_at, revoked_at FROM sessions WHERE user_id = $1 ORDER BY created_at',
+    [userId]
+  );
+
+  const filterPresets = await query(
+    'SELECT id, name, filters, created_at FROM filter_presets WHERE user_id = $1 ORDER BY created_at',
+    [userId]
+  );
+
+  const blocks = await query(
+    'SELECT blocked_id, created_at FROM blocks WHERE blocker_id = $1 ORDER BY created_at',
+    [userId]
+  );
+
+  const favorites = await query(
+    'SELECT favorite_user_id, created_at FROM favorites WHERE user_id = $1 ORDER BY created_at',
+    [userId]
+  );
+
+  const taps = await query(
+    `SELECT id, sender_id, receiver_id, kind, seen, created_at
+     FROM taps WHERE sender_id = $1 OR receiver_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+
+  const profileViews = await query(
+    'SELECT viewed_id, viewed_at FROM profile_views WHERE viewer_id = $1 ORDER BY viewed_at',
+    [userId]
+  );
+
+  const groups = await query(
+    `SELECT g.id, g.name, gm.role, gm.joined_at
+     FROM group_members gm JOIN groups g ON g.id = gm.group_id
+     WHERE gm.user_id = $1 ORDER BY gm.joined_at`,
+    [userId]
+  );
+
+  const groupMessages = await query(
+    `SELECT id, group_id, content, image_url, created_at
+     FROM group_messages WHERE sender_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: profile.rows[0] || null,
+    messages: messages.rows,
+    photos: photos.rows,
+    subscriptions: subscriptions.rows,
+    sessions: sessions.rows,
+    tags: await getUserTags(userId),
+    filterPresets: filterPresets.rows,
+    blocks: blocks.rows,
+    favorites: favorites.rows,
+    taps: taps.rows,
+    profileViews: profileViews.rows,
+    groups: groups.rows,
+    groupMessages: groupMessages.rows
+  };
+};
+
+// Build the archive for a queued export, then notify the user over the socket and by email
+export const runDataExport = async (exportId, userId, io) => {
+  const archivePath = path.join(exportsDir, `${exportId}.tar.gz`);
+
+  try {
+    await query('UPDATE data_exports SET status = $1 WHERE id = $2', ['processing', exportId]);
+    await fs.promises.mkdir(exportsDir, { recursive: true });
+
+    const data = await collectUserData(userId);
+    const archive = createTarGzWriter(archivePath);
+
+    await archive.addFile('st8sniffr-export/data.json', JSON.stringify(data, null, 2));
+
+    for (const photo of data.photos) {
+      const filePath = photoFilePath(photo.url);
+      if (!filePath) {
+        continue;
+      }
+
+      try {
+        const content = await fs.promises.readFile(filePath);
+        await archive.addFile(`st8sniffr-export/photos/${path.basename(filePath)}`, content, photo.created_at);
+      } catch (fsError) {
+        // Photo record without a file on disk; the JSON still lists it
+        console.error('Export photo read error:', fsError.message);
+      }
+    }
+
+    await archive.finalize();
+
+    await query(
+      `UPDATE data_exports
+       SET status = $1, file_path = $2, completed_at = NOW(), expires_at = NOW() + make_interval(days => $3)
+       WHERE id = $4`,
+      ['ready', archivePath, EXPORT_TTL_DAYS, exportId]
+    );
+
+    if (io) {
+      io.to(`user:${userId}`).emit('export:ready', { exportId });
+    }
+
+    if (data.profile?.email && data.profile.email_verified) {
+      sendMail({
+        to: data.profile.email,
+        subject: 'Your St8sniffr data export is ready',
+        text: `Hi ${data.profile.username},\n\nYour data export is ready. Sign in and download it from your account settings within ${EXPORT_TTL_DAYS} days.`
+      }).catch(error => console.error('Export email error:', error));
+    }
+
+    console.log(`Data export ${exportId} ready for user ${userId}`);
+  } catch (error) {
+    console.error('Data export error:', error);
+    await fs.promises.rm(archivePath, { force: true });
+    await query(
+      'UPDATE data_exports SET status = $1, completed_at = NOW() WHERE id = $2',
+      ['failed', exportId]
+    );
+  }
+};
+
+// Mark exports that never finished as failed so the user can request a new one.
+// Pass a userId to only check that user's exports.
+export const failStaleExports = async (userId = null) => {
+  const result = await query(
+    `UPDATE data_exports SET status = 'failed', completed_at = NOW()
+     WHERE status IN ('pending', 'processing')
+       AND created_at < NOW() - make_interval(mins => $1)
+       AND ($2::uuid IS NULL OR user_id = $2)`,
+    [EXPORT_TIMEOUT_MINUTES, userId]
+  );
+  return result.rowCount;
+};
+
+// Delete the archives of expired exports. The rows stay so the user can see them.
+export const purgeExpiredExports = async () => {
+  const result = await query(
+    `SELECT id, file_path FROM data_exports
+     WHERE file_path IS NOT NULL AND expires_at < NOW()`
+  );
+
+  for (const row of result.rows) {
+    await fs.promises.rm(row.file_path, { force: true });
+    await query('UPDATE data_exports SET file_path = NULL WHERE id = $1', [row.id]);
+  }
+  return result.rows.length;
+};
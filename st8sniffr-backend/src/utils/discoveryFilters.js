@@ -0,0 +1,148 @@
+import { query as queryField, body } from 'express-validator';
+import {
+  BODY_TYPES,
+  POSITIONS,
+  RELATIONSHIP_STATUSES,
+  LOOKING_FOR,
+  fieldIsPublicCondition
+} from './profileFields.js';
+
+export const MAX_FILTER_TAGS = 10;
+
+// Lower-cased, trimmed, de-duplicated tag names from "a,b" or ["a", "b"]
+export const normalizeTags = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+// "a,b" or ["a", "b"] as a de-duplicated list
+const toList = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+};
+
+// A "...Max" filter must not be below its "...Min" counterpart
+const atLeast = (minKey) => (max, { req, path }) => {
+  const source = path.startsWith('filters.') ? req.body.filters : req.query;
+  return source[minKey] === undefined || parseInt(source[minKey]) <= max;
+};
+
+const listOf = (field, name, values) => {
+  return field(name).optional()
+    .customSanitizer(toList)
+    .custom(list => list.every(value => values.includes(value)))
+    .withMessage(`${name} must be any of: ${values.join(', ')}`);
+};
+
+// Validators for the discovery filters. `field` builds the chain for a name, so the same
+// rules apply to query strings (?ageMin=25) and saved presets ({ filters: { ageMin: 25 } }).
+const filterValidators = (field) => [
+  field('ageMin').optional().isInt({ min: 18, max: 120 }).withMessage('ageMin must be 18-120').toInt(),
+  field('ageMax').optional().isInt({ min: 18, max: 120 }).withMessage('ageMax must be 18-120').toInt()
+    .custom(atLeast('ageMin')).withMessage('ageMax must be greater than or equal to ageMin'),
+  field('onlineNow').optional().isBoolean().withMessage('onlineNow must be a boolean').toBoolean(),
+  field('activeWithinHours').optional().isInt({ min: 1, max: 24 * 30 }).withMessage('activeWithinHours must be 1-720').toInt(),
+  field('hasPhoto').optional().isBoolean().withMessage('hasPhoto must be a boolean').toBoolean(),
+  field('nsfw').optional().isBoolean().withMessage('nsfw must be a boolean').toBoolean(),
+  field('subscribersOnly').optional().isBoolean().withMessage('subscribersOnly must be a boolean').toBoolean(),
+  field('tags').optional()
+    .customSanitizer(normalizeTags)
+    .custom(tags => tags.length <= MAX_FILTER_TAGS && tags.every(tag => tag.length <= 30))
+    .withMessage(`Up to ${MAX_FILTER_TAGS} tags of at most 30 characters`),
+  field('heightMin').optional().isInt({ min: 100, max: 250 }).withMessage('heightMin must be 100-250').toInt(),
+  field('heightMax').optional().isInt({ min: 100, max: 250 }).withMessage('heightMax must be 100-250').toInt()
+    .custom(atLeast('heightMin')).withMessage('heightMax must be greater than or equal to heightMin'),
+  field('weightMin').optional().isInt({ min: 30, max: 300 }).withMessage('weightMin must be 30-300').toInt(),
+  field('weightMax').optional().isInt({ min: 30, max: 300 }).withMessage('weightMax must be 30-300').toInt()
+    .custom(atLeast('weightMin')).withMessage('weightMax must be greater than or equal to weightMin'),
+  listOf(field, 'bodyTypes', BODY_TYPES),
+  listOf(field, 'positions', POSITIONS),
+  listOf(field, 'relationshipStatuses', RELATIONSHIP_STATUSES),
+  listOf(field, 'lookingFor', LOOKING_FOR)
+];
+
+export const FILTER_KEYS = [
+  'ageMin', 'ageMax', 'onlineNow', 'activeWithinHours', 'hasPhoto', 'nsfw', 'subscribersOnly', 'tags',
+  'heightMin', 'heightMax', 'weightMin', 'weightMax', 'bodyTypes', 'positions', 'relationshipStatuses', 'lookingFor'
+];
+
+export const discoveryFilterQueryValidators = filterValidators(name => queryField(name));
+export const discoveryFilterBodyValidators = filterValidators(name => body(`filters.${name}`));
+
+// Keep only known filter keys that were actually provided
+export const pickFilters = (source = {}) => {
+  return FILTER_KEYS.reduce((filters, key) => {
+    if (source[key] !== undefined) {
+      filters[key] = source[key];
+    }
+    return filters;
+  }, {});
+};
+
+// SQL conditions (against the users table) for a set of validated filters.
+// Values are appended to params.
+export const buildDiscoveryFilters = (filters, params) => {
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const conditions = [];
+
+  if (filters.ageMin !== undefined) {
+    conditions.push(`users.age >= ${param(filters.ageMin)}`);
+  }
+  if (filters.ageMax !== undefined) {
+    conditions.push(`users.age <= ${param(filters.ageMax)}`);
+  }
+  if (filters.onlineNow) {
+    conditions.push('users.is_online = true');
+  }
+  if (filters.activeWithinHours !== undefined) {
+    conditions.push(`users.last_active >= NOW() - make_interval(hours => ${param(filters.activeWithinHours)})`);
+  }
+  if (filters.hasPhoto) {
+    conditions.push('EXISTS (SELECT 1 FROM photos p WHERE p.user_id = users.id AND p.is_profile_picture = true)');
+  }
+  if (filters.nsfw !== undefined) {
+    conditions.push(`users.is_nsfw = ${param(filters.nsfw)}`);
+  }
+  if (filters.subscribersOnly) {
+    conditions.push('users.is_subscribed = true');
+  }
+  // A user matches if they have any of the requested tags
+  if (filters.tags && filters.tags.length > 0) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM user_tags ut
+      JOIN tags t ON t.id = ut.tag_id
+      WHERE ut.user_id = users.id AND t.name = ANY(${param(filters.tags)}::text[])
+    )`);
+  }
+
+  // Structured profile fields only match values their owner shows to everyone
+  const range = (field, column, min, max) => {
+    if (min !== undefined) {
+      conditions.push(`users.${column} >= ${param(min)} AND ${fieldIsPublicCondition(field)}`);
+    }
+    if (max !== undefined) {
+      conditions.push(`users.${column} <= ${param(max)} AND ${fieldIsPublicCondition(field)}`);
+    }
+  };
+  const anyOf = (field, column, values) => {
+    if (values && values.length > 0) {
+      conditions.push(`users.${column} = ANY(${param(values)}::text[]) AND ${fieldIsPublicCondition(field)}`);
+    }
+  };
+
+  range('height', 'height_cm', filters.heightMin, filters.heightMax);
+  range('weight', 'weight_kg', filters.weightMin, filters.weightMax);
+  anyOf('bodyType', 'body_type', filters.bodyTypes);
+  anyOf('position', 'position', filters.positions);
+  anyOf('relationshipStatus', 'relationship_status', filters.relationshipStatuses);
+  // Matches anyone looking for at least one of the requested things
+  if (filters.lookingFor && filters.lookingFor.length > 0) {
+    conditions.push(`users.looking_for && ${param(filters.lookingFor)}::text[] AND ${fieldIsPublicCondition('lookingFor')}`);
+  }
+
+  return conditions;
+};
@@ -0,0 +1,119 @@
+import { query } from './db.js';
+import { GRID_SIZE_DEGREES, GRID_PADDING_KM } from './locationPrivacy.js';
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.045;
+
+let postgisAvailable = null;
+
+// PostGIS is optional: initDb adds users.location_geog (and its GiST index) only when the
+// extension could be installed. Checked once and cached for the life of the process.
+export const hasPostgis = async () => {
+  if (postgisAvailable === null) {
+    try {
+      const result = await query(
+        `SELECT 1 FROM information_schema.columns
+         WHERE table_name = 'users' AND column_name = 'location_geog'`
+      );
+      postgisAvailable = result.rows.length > 0;
+    } catch (error) {
+      console.error('PostGIS detection error:', error);
+      postgisAvailable = false;
+    }
+    console.log(`Nearby queries using ${postgisAvailable ? 'PostGIS' : 'bounding-box + Haversine'}`);
+  }
+  return postgisAvailable;
+};
+
+// Great-circle distance in km between two points
+export const haversineKm = (lat1, lng1, lat2, lng2) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Lat/lng box that contains every point within radiusKm. The longitude range is
+// dropped when the box would cross a pole or the antimeridian.
+export const boundingBox = (lat, lng, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+  const minLat = lat - latDelta;
+  const maxLat = lat + latDelta;
+
+  if (minLat <= -90 || maxLat >= 90) {
+    return { minLat: Math.max(minLat, -90), maxLat: Math.min(maxLat, 90), minLng: null, maxLng: null };
+  }
+
+  const lngDelta = radiusKm / (KM_PER_DEGREE_LAT * Math.cos(lat * Math.PI / 180));
+  const minLng = lng - lngDelta;
+  const maxLng = lng + lngDelta;
+
+  if (minLng < -180 || maxLng > 180) {
+    return { minLat, maxLat, minLng: null, maxLng: null };
+  }
+
+  return { minLat, maxLat, minLng, maxLng };
+};
+
+// Distance (km) from a point to a user's grid-snapped location. Distances use the
+// snapped cell rather than the exact coordinates so varying the origin or radius
+// can't triangulate anyone.
+const postgisDistance = (point) => {
+  return `(ST_Distance(ST_SnapToGrid(location_geog::geometry, ${GRID_SIZE_DEGREES})::geography, ${point}) / 1000)`;
+};
+
+// Clamp the acos argument: rounding can push it just past 1 for identical points
+const haversineDistance = (latParam, lngParam) => {
+  const snappedLat = `(round(location_lat / ${GRID_SIZE_DEGREES}) * ${GRID_SIZE_DEGREES})`;
+  const snappedLng = `(round(location_lng / ${GRID_SIZE_DEGREES}) * ${GRID_SIZE_DEGREES})`;
+  return `(${EARTH_RADIUS_KM} * acos(LEAST(1, GREATEST(-1,
+    cos(radians(${latParam})) * cos(radians(${snappedLat})) *
+    cos(radians(${snappedLng}) - radians(${lngParam})) +
+    sin(radians(${latParam})) * sin(radians(${snappedLat}))
+  ))))`;
+};
+
+const paramPusher = (params) => (value) => {
+  params.push(value);
+  return `$${params.length}`;
+};
+
+// SQL fragments for the distance (km) from a point to each user and an index-friendly
+// prefilter for a radius. Values are appended to params.
+export const buildDistanceQuery = async (lat, lng, radiusKm, params) => {
+  const param = paramPusher(params);
+
+  // The prefilter runs on exact coordinates, so widen it by up to one grid cell
+  const prefilterRadiusKm = radiusKm + GRID_PADDING_KM;
+
+  if (await hasPostgis()) {
+    const point = `ST_SetSRID(ST_MakePoint(${param(lng)}, ${param(lat)}), 4326)::geography`;
+    return {
+      distance: postgisDistance(point),
+      prefilter: `ST_DWithin(location_geog, ${point}, ${param(prefilterRadiusKm * 1000)})`
+    };
+  }
+
+  const distance = haversineDistance(param(lat), param(lng));
+
+  const box = boundingBox(lat, lng, prefilterRadiusKm);
+  const conditions = [`location_lat BETWEEN ${param(box.minLat)} AND ${param(box.maxLat)}`];
+  if (box.minLng !== null) {
+    conditions.push(`location_lng BETWEEN ${param(box.minLng)} AND ${param(box.maxLng)}`);
+  }
+
+  return { distance, prefilter: conditions.join(' AND ') };
+};
+
+// Just the distance expression, for ranking without a radius. Values are appended to params.
+export const buildDistanceExpression = async (lat, lng, params) => {
+  const param = paramPusher(params);
+
+  if (await hasPostgis()) {
+    return postgisDistance(`ST_SetSRID(ST_MakePoint(${param(lng)}, ${param(lat)}), 4326)::geography`);
+  }
+
+  return haversineDistance(param(lat), param(lng));
+};
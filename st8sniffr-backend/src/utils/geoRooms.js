@@ -0,0 +1,119 @@
+import { query } from './db.js';
+import { publicLocation } from './locationPrivacy.js';
+import { getBlockedUserIds } from './blocks.js';
+
+// Socket.io rooms for geographic cells. Each socket sits in the room for its user's
+// last known cell, and realtime presence/location events go only to the surrounding
+// 3x3 block of cells, which covers at least the default discovery radius.
+
+const CELL_DEGREES = parseFloat(process.env.GEO_ROOM_CELL_DEGREES || '0.1'); // ~11 km of latitude
+
+const normalizeLng = (lng) => {
+  return ((((lng + 180) % 360) + 360) % 360) - 180;
+};
+
+// Cells are CELL_DEGREES tall; their width is widened by latitude so they stay roughly square
+const cellFor = (lat, lng) => {
+  const clampedLat = Math.min(Math.max(lat, -90), 89.999999);
+  const row = Math.floor((clampedLat + 90) / CELL_DEGREES);
+  const rowCenterLat = -90 + (row + 0.5) * CELL_DEGREES;
+  const width = Math.min(CELL_DEGREES / Math.max(Math.cos(rowCenterLat * Math.PI / 180), 0.05), 360);
+  const col = Math.floor((normalizeLng(lng) + 180) / width);
+  return { row, col, width };
+};
+
+const hasLocation = (location) => {
+  return location && location.lat !== null && location.lat !== undefined &&
+    location.lng !== null && location.lng !== undefined;
+};
+
+export const geoRoomFor = (location) => {
+  if (!hasLocation(location)) {
+    return null;
+  }
+  const { row, col } = cellFor(parseFloat(location.lat), parseFloat(location.lng));
+  return `geo:${row}:${col}`;
+};
+
+// The cell containing a location plus its neighbours
+export const nearbyGeoRooms = (location) => {
+  if (!hasLocation(location)) {
+    return [];
+  }
+
+  const lat = parseFloat(location.lat);
+  const lng = parseFloat(location.lng);
+  const rooms = new Set();
+
+  for (const rowOffset of [-1, 0, 1]) {
+    const rowLat = Math.min(Math.max(lat + rowOffset * CELL_DEGREES, -90), 90);
+    const { width } = cellFor(rowLat, lng);
+    for (const colOffset of [-1, 0, 1]) {
+      rooms.add(geoRoomFor({ lat: rowLat, lng: lng + colOffset * width }));
+    }
+  }
+
+  return [...rooms];
+};
+
+// Emit to everyone near any of the given locations, except the user's own sockets
+// and anyone on either side of a block with them
+export const emitNearby = async (io, userId, locations, event, payload) => {
+  const rooms = [...new Set(locations.flatMap(nearbyGeoRooms))];
+  if (rooms.length === 0) {
+    return;
+  }
+  const blockedIds = await getBlockedUserIds(userId);
+  const excluded = [userId, ...blockedIds].map(id => `user:${id}`);
+  io.to(rooms).except(excluded).emit(event, payload);
+};
+
+// Move all of a user's sockets into the room for their new location
+export const moveToGeoRoom = async (io, userId, location) => {
+  const room = geoRoomFor(location);
+  const sockets = await io.in(`user:${userId}`).fetchSockets();
+
+  for (const socket of sockets) {
+    for (const current of socket.rooms) {
+      if (current.startsWith('geo:') && current !== room) {
+        socket.leave(current);
+      }
+    }
+    if (room) {
+      socket.join(room);
+    }
+    socket.data.location = hasLocation(location) ? { lat: location.lat, lng: location.lng } : null;
+  }
+};
+
+// Save a user's new location, move their sockets to the matching cell and tell people
+// near both the old and the new position (privacy-reduced location only; nothing for
+// incognito users)
+export const updateUserLocation = async (io, userId, lat, lng) => {
+  const result = await query(
+    `UPDATE users u
+     SET location_lat = $1, location_lng = $2, location_updated_at = NOW(), last_active = NOW()
+     FROM (SELECT location_lat AS old_lat, location_lng AS old_lng FROM users WHERE id = $3) previous
+     WHERE u.id = $3
+     RETURNING previous.old_lat, previous.old_lng, u.location_lat, u.location_lng, u.location_privacy, u.is_incognito`,
+    [lat, lng, userId]
+  );
+
+  if (result.rows.length === 0 || !io) {
+    return;
+  }
+
+  const user = result.rows[0];
+  const newLocation = { lat: user.location_lat, lng: user.location_lng };
+
+  await moveToGeoRoom(io, userId, newLocation);
+
+  if (user.is_incognito) {
+    return;
+  }
+
+  await emitNearby(io, userId, [{ lat: user.old_lat, lng: user.old_lng }, newLocation], 'user:location', {
+    userId,
+    location: publicLocation(user)
+  });
+};
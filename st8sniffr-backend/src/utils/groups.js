@@ -0,0 +1,107 @@
+import { query } from './db.js';
+
+// Group conversations. Members have a role ('admin' or 'member') and a last_read_at
+// marker that gives each member their own unread count. Messages fan out to the
+// group:<id> Socket.io room, which every member's sockets join.
+
+export const GROUP_ROLES = ['admin', 'member'];
+export const MAX_GROUP_MEMBERS = parseInt(process.env.MAX_GROUP_MEMBERS || '50');
+
+export const groupRoom = (groupId) => `group:${groupId}`;
+
+export const getMembership = async (groupId, userId) => {
+  const result = await query(
+    'SELECT group_id, user_id, role, joined_at, last_read_at FROM group_members WHERE group_id = $1 AND user_id = $2',
+    [groupId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+export const countMembers = async (groupId) => {
+  const result = await query('SELECT COUNT(*) FROM group_members WHERE group_id = $1', [groupId]);
+  return parseInt(result.rows[0].count);
+};
+
+// Put (or take) the given users' sockets in the group's room
+export const joinGroupRoom = (io, groupId, userIds) => {
+  if (!io) {
+    return;
+  }
+  userIds.forEach(userId => io.in(`user:${userId}`).socketsJoin(groupRoom(groupId)));
+};
+
+export const leaveGroupRoom = (io, groupId, userIds) => {
+  if (!io) {
+    return;
+  }
+  userIds.forEach(userId => io.in(`user:${userId}`).socketsLeave(groupRoom(groupId)));
+};
+
+// Join a newly connected socket to all of its user's groups
+export const joinUserGroupRooms = async (socket, userId) => {
+  const result = await query('SELECT group_id FROM group_members WHERE user_id = $1', [userId]);
+  result.rows.forEach(row => socket.join(groupRoom(row.group_id)));
+};
+
+// Keep groups usable after members leave: delete groups nobody is left in, and promote
+// the longest-standing member of any group that has no admin
+export const repairGroups = async (groupIds) => {
+  if (groupIds.length === 0) {
+    return;
+  }
+
+  await query(
+    `DELETE FROM groups g
+     WHERE g.id = ANY($1::uuid[])
+       AND NOT EXISTS (SELECT 1 FROM group_members gm WHERE gm.group_id = g.id)`,
+    [groupIds]
+  );
+
+  await query(
+    `UPDATE group_members SET role = 'admin'
+     WHERE (group_id, user_id) IN (
+       SELECT DISTINCT ON (gm.group_id) gm.group_id, gm.user_id
+       FROM group_members gm
+       WHERE gm.group_id = ANY($1::uuid[])
+         AND NOT EXISTS (
+           SELECT 1 FROM group_members a WHERE a.group_id = gm.group_id AND a.role = 'admin'
+         )
+       ORDER BY gm.group_id, gm.joined_at, gm.user_id
+     )`,
+    [groupIds]
+  );
+};
+
+// Store a group message and send it to the group's room. The sender's own read
+// marker moves past it so it never counts as unread for them.
+export const sendGroupMessage = async (io, groupId, sender, { content, imageUrl }) => {
+  const result = await query(
+    `INSERT INTO group_messages (group_id, sender_id, content, image_url)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, group_id, sender_id, content, image_url, created_at`,
+    [groupId, sender.id, content || null, imageUrl || null]
+  );
+  const message = result.rows[0];
+
+  await query(
+    'UPDATE group_members SET last_read_at = $1 WHERE group_id = $2 AND user_id = $3',
+    [message.created_at, groupId, sender.id]
+  );
+  await query('UPDATE groups SET updated_at = NOW() WHERE id = $1', [groupId]);
+
+  const messageData = {
+    id: message.id,
+    groupId: message.group_id,
+    senderId: message.sender_id,
+    senderName: sender.username,
+    content: message.content,
+    imageUrl: message.image_url,
+    createdAt: message.created_at
+  };
+
+  if (io) {
+    io.to(groupRoom(groupId)).emit('group:message', messageData);
+  }
+
+  return messageData;
+};
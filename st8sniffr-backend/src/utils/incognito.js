@@ -0,0 +1,10 @@
+// Incognito (subscribers only) hides a user from discovery and suppresses their
+// realtime presence/location broadcasts and profile-view tracking.
+
+// SQL condition (against the users table) that keeps incognito users out of results,
+// except for viewers they have already messaged
+export const incognitoVisibleCondition = (viewerParam) => {
+  return `(users.is_incognito = false OR EXISTS (
+    SELECT 1 FROM messages m WHERE m.sender_id = users.id AND m.receiver_id = ${viewerParam}
+  ))`;
+};
@@ -36,6 +36,44 @@ const initDatabase = async () => {
     `);
     console.log('✓ Users table created');
 
+    // Email verification state
+    await pool.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT false,
+        ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP
+    `);
+    console.log('✓ Email verification columns added');
+
+    // Two-factor authentication (TOTP)
+    await pool.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false,
+        ADD COLUMN IF NOT EXISTS totp_last_step BIGINT
+    `);
+    console.log('✓ Two-factor columns added');
+
+    // Scheduled self-service account deletion
+    await pool.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS deletion_scheduled_at TIMESTAMP
+    `);
+    console.log('✓ Account deletion column added');
+
+    // When a user's location last changed (keeps nearby pagination stable)
+    await pool.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS location_updated_at TIMESTAMP DEFAULT NOW()
+    `);
+    console.log('✓ Location updated column added');
+
+    // Location privacy mode: grid, approximate or hidden
+    await pool.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS location_privacy VARCHAR(20) DEFAULT 'grid'
+    `);
+    console.log('✓ Location privacy column added');
+
     // Create photos table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS photos (
@@ -78,6 +116,248 @@ const initDatabase = async () => {
     `);
     console.log('✓ Subscriptions table created');
 
+    // Create sessions table for refresh tokens / revocation
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) NOT NULL,
+        device VARCHAR(255),
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_used_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_sessions_user 
+      ON sessions(user_id) 
+      WHERE revoked_at IS NULL
+    `);
+    console.log('✓ Sessions table created');
+
+    // Create password reset tokens table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    console.log('✓ Password reset tokens table created');
+
+    // Create 2FA recovery codes table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    console.log('✓ Recovery codes table created');
+
+    // Create data exports table (GDPR export jobs)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS data_exports (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) DEFAULT 'pending',
+        file_path VARCHAR(500),
+        created_at TIMESTAMP DEFAULT NOW(),
+        completed_at TIMESTAMP,
+        expires_at TIMESTAMP
+      )
+    `);
+    console.log('✓ Data exports table created');
+
+    // Create tags tables (normalized profile tags/interests)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(30) UNIQUE NOT NULL
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_tags (
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (user_id, tag_id)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_user_tags_tag ON user_tags(tag_id)');
+    console.log('✓ Tags tables created');
+
+    // Create saved discovery filter presets table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS filter_presets (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(50) NOT NULL,
+        filters JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (user_id, name)
+      )
+    `);
+    console.log('✓ Filter presets table created');
+
+    // Create blocks table (blocker_id has blocked blocked_id)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS blocks (
+        blocker_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        blocked_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (blocker_id, blocked_id),
+        CHECK (blocker_id != blocked_id)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_blocks_blocked ON blocks(blocked_id)');
+    console.log('✓ Blocks table created');
+
+    // Create favorites table (user_id starred favorite_user_id)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS favorites (
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        favorite_user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (user_id, favorite_user_id),
+        CHECK (user_id != favorite_user_id)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_favorites_favorite_user ON favorites(favorite_user_id)');
+    console.log('✓ Favorites table created');
+
+    // Create taps table (one row per sender/receiver; re-tapping refreshes it)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS taps (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        sender_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        receiver_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        kind VARCHAR(10) NOT NULL DEFAULT 'tap',
+        seen BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (sender_id, receiver_id),
+        CHECK (sender_id != receiver_id)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_taps_receiver ON taps(receiver_id, created_at DESC)');
+    console.log('✓ Taps table created');
+
+    // Create profile views table (one row per viewer per profile per day)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS profile_views (
+        viewer_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        viewed_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        view_date DATE NOT NULL DEFAULT CURRENT_DATE,
+        viewed_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (viewer_id, viewed_id, view_date)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_profile_views_viewed ON profile_views(viewed_id, viewed_at DESC)');
+    console.log('✓ Profile views table created');
+
+    // Incognito browsing (subscribers only)
+    await pool.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS is_incognito BOOLEAN DEFAULT false
+    `);
+    console.log('✓ Incognito column added');
+
+    // Travel mode (subscribers only): virtual discovery location with an expiry
+    await pool.query(`
+      ALTER TABLE users 
+        ADD COLUMN IF NOT EXISTS travel_lat DECIMAL(10, 8),
+        ADD COLUMN IF NOT EXISTS travel_lng DECIMAL(11, 8),
+        ADD COLUMN IF NOT EXISTS travel_place VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS travel_expires_at TIMESTAMP
+    `);
+    console.log('✓ Travel mode columns added');
+
+    // Structured profile fields with per-field visibility
+    await pool.query(`
+      ALTER TABLE users 
+        ADD COLUMN IF NOT EXISTS height_cm SMALLINT,
+        ADD COLUMN IF NOT EXISTS weight_kg SMALLINT,
+        ADD COLUMN IF NOT EXISTS body_type VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS position VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS relationship_status VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS looking_for TEXT[],
+        ADD COLUMN IF NOT EXISTS pronouns VARCHAR(30),
+        ADD COLUMN IF NOT EXISTS profile_field_visibility JSONB DEFAULT '{}'
+    `);
+    console.log('✓ Profile fields added');
+
+    // Ranked user search: weighted full-text vector (username over bio) plus trigram
+    // indexes for fuzzy usernames and tag-name matching
+    await pool.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+    await pool.query(`
+      ALTER TABLE users 
+        ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (
+          setweight(to_tsvector('simple', coalesce(username, '')), 'A') ||
+          setweight(to_tsvector('simple', coalesce(bio, '')), 'B')
+        ) STORED
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_users_search_vector ON users USING GIN (search_vector)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_users_username_trgm ON users USING GIN (username gin_trgm_ops)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_tags_name_trgm ON tags USING GIN (name gin_trgm_ops)');
+    console.log('✓ Search indexes created');
+
+    // Create group conversation tables
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS groups (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name VARCHAR(50) NOT NULL,
+        avatar_url TEXT,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS group_members (
+        group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(10) NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+        invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        joined_at TIMESTAMP DEFAULT NOW(),
+        last_read_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (group_id, user_id)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members(user_id)');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS group_messages (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+        sender_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        content TEXT,
+        image_url TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_group_messages_group ON group_messages(group_id, created_at DESC)');
+    console.log('✓ Group conversation tables created');
+
+    // Create presence connections table (one row per live socket or REST client)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS presence_connections (
+        id VARCHAR(100) PRIMARY KEY,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        server_id VARCHAR(100),
+        connected_at TIMESTAMP DEFAULT NOW(),
+        last_heartbeat TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_presence_connections_user ON presence_connections(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_presence_connections_server ON presence_connections(server_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_presence_connections_heartbeat ON presence_connections(last_heartbeat)');
+    console.log('✓ Presence connections table created');
+
     // Create conversations view for easy querying
     await pool.query(`
       CREATE OR REPLACE VIEW conversations AS
@@ -102,6 +382,29 @@ const initDatabase = async () => {
     `);
     console.log('✓ Location index created');
 
+    // PostGIS spatial index for nearby queries (optional; the API falls back to a
+    // bounding-box prefilter on idx_users_location when PostGIS isn't available)
+    try {
+      await pool.query('CREATE EXTENSION IF NOT EXISTS postgis');
+      await pool.query(`
+        ALTER TABLE users
+          ADD COLUMN IF NOT EXISTS location_geog geography(Point, 4326)
+          GENERATED ALWAYS AS (
+            CASE WHEN location_lat IS NOT NULL AND location_lng IS NOT NULL
+              THEN ST_SetSRID(ST_MakePoint(location_lng, location_lat), 4326)::geography
+            END
+          ) STORED
+      `);
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_users_location_geog 
+        ON users USING GIST (location_geog) 
+        WHERE account_type != 'anonymous'
+      `);
+      console.log('✓ PostGIS location index created');
+    } catch (error) {
+      console.log('⚠ PostGIS not available, nearby search will use the bounding-box index:', error.message);
+    }
+
     // Create index for online status
     await pool.query(`
       CREATE INDEX IF NOT EXISTS idx_users_online 
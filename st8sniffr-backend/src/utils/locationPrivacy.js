@@ -0,0 +1,48 @@
+// Location privacy. Exact coordinates never leave the server: discovery measures
+// distance to the user's snapped grid cell, and each user picks how much of that
+// distance others see:
+//   grid        - distance rounded to 0.5 km, location shown as the grid cell center
+//   approximate - distance shown only as a band ("< 5 km"), no location
+//   hidden      - no distance and no location
+export const LOCATION_PRIVACY_MODES = ['grid', 'approximate', 'hidden'];
+export const DEFAULT_LOCATION_PRIVACY = 'grid';
+
+// ~550 m of latitude; less longitude towards the poles, which only makes cells smaller
+export const GRID_SIZE_DEGREES = 0.005;
+export const GRID_PADDING_KM = 0.6;
+
+const DISTANCE_BANDS_KM = [1, 2, 5, 10, 25, 50, 100, 250, 500];
+
+export const snapToGrid = (value) => {
+  return parseFloat((Math.round(value / GRID_SIZE_DEGREES) * GRID_SIZE_DEGREES).toFixed(4));
+};
+
+// Location other users may see, or null
+export const publicLocation = (user) => {
+  const mode = user.location_privacy || DEFAULT_LOCATION_PRIVACY;
+  if (mode !== 'grid' || user.location_lat === null || user.location_lat === undefined) {
+    return null;
+  }
+
+  return {
+    lat: snapToGrid(parseFloat(user.location_lat)),
+    lng: snapToGrid(parseFloat(user.location_lng))
+  };
+};
+
+// Distance other users may see, given the grid-snapped distance in km
+export const publicDistance = (distanceKm, mode = DEFAULT_LOCATION_PRIVACY) => {
+  if (mode === 'hidden' || distanceKm === null || distanceKm === undefined) {
+    return { distance: null, distanceDisplay: null };
+  }
+
+  if (mode === 'approximate') {
+    const band = DISTANCE_BANDS_KM.find(limit => distanceKm < limit);
+    return band
+      ? { distance: band, distanceDisplay: `< ${band} km` }
+      : { distance: DISTANCE_BANDS_KM[DISTANCE_BANDS_KM.length - 1], distanceDisplay: `${DISTANCE_BANDS_KM[DISTANCE_BANDS_KM.length - 1]}+ km` };
+  }
+
+  const rounded = Math.max(0.5, Math.round(distanceKm * 2) / 2);
+  return { distance: rounded, distanceDisplay: `~${rounded} km` };
+};
@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MAIL_FROM = process.env.MAIL_FROM || 'St8sniffr <no-reply@st8sniffr.local>';
+
+// Logs emails to stdout (default when no SMTP server is configured)
+export const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`
+--- Email ---------------------------------------------------
+From: ${message.from}
+To: ${message.to}
+Subject: ${message.subject}
+
+${message.text}
+-------------------------------------------------------------`);
+  }
+});
+
+// Writes each email as a JSON file so local tests can read them back
+export const createFileTransport = (outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../mail-outbox')) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+});
+
+// Sends through an SMTP server using nodemailer (loaded lazily so dev setups don't need it)
+export const createSmtpTransport = (options = {}) => {
+  let transporter = null;
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      if (!transporter) {
+        const { default: nodemailer } = await import('nodemailer');
+        const user = options.user || process.env.SMTP_USER;
+
+        transporter = nodemailer.createTransport({
+          host: options.host || process.env.SMTP_HOST,
+          port: parseInt(options.port || process.env.SMTP_PORT || '587'),
+          secure: String(options.secure ?? process.env.SMTP_SECURE) === 'true',
+          auth: user ? { user, pass: options.pass || process.env.SMTP_PASS } : undefined
+        });
+      }
+
+      await transporter.sendMail(message);
+    }
+  };
+};
+
+const createDefaultTransport = () => {
+  const transportName = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+  switch (transportName) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+};
+
+let transport = null;
+
+// Swap the transport at runtime (e.g. a custom provider or a test double)
+export const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+
+  await transport.send({ from: MAIL_FROM, to, subject, text, html });
+};
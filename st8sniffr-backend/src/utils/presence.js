@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import { query, getClient } from './db.js';
+import { emitNearby } from './geoRooms.js';
+
+// Presence is tracked per connection in presence_connections so a user stays online
+// while any tab or device is connected. Socket connections are kept fresh by this
+// process's heartbeat; REST clients by calling POST /api/users/online. If a server
+// dies its rows stop being refreshed and the sweeper marks those users offline.
+
+export const PRESENCE_HEARTBEAT_MS = parseInt(process.env.PRESENCE_HEARTBEAT_MS || '30000');
+export const PRESENCE_TIMEOUT_MS = parseInt(process.env.PRESENCE_TIMEOUT_MS || '90000');
+
+// Identifies this process's socket connections
+export const SERVER_ID = `${process.env.HOSTNAME || 'server'}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Incognito users never announce their presence
+const broadcastPresence = async (io, user, event) => {
+  if (!io || user.is_incognito) {
+    return;
+  }
+  await emitNearby(io, user.id, [{ lat: user.location_lat, lng: user.location_lng }], event, { userId: user.id });
+};
+
+// Targeted heads-up for everyone who starred this user
+const notifyFavoriters = async (io, user) => {
+  if (!io || user.is_incognito) {
+    return;
+  }
+  const result = await query('SELECT user_id FROM favorites WHERE favorite_user_id = $1', [user.id]);
+  const rooms = result.rows.map(row => `user:${row.user_id}`);
+  if (rooms.length > 0) {
+    io.to(rooms).emit('favorite:online', { userId: user.id, username: user.username });
+  }
+};
+
+// Run a presence change for one user in a transaction holding a per-user lock, so a
+// connect and a disconnect can't interleave and leave is_online wrong
+const withPresenceLock = async (userId, work) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('presence:' || $1::text))", [userId]);
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Register a connection. Announces user:online (and favorite:online) only if the user
+// was offline.
+export const connectPresence = async (io, userId, connectionId, serverId = null) => {
+  const user = await withPresenceLock(userId, async (client) => {
+    await client.query(
+      `INSERT INTO presence_connections (id, user_id, server_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (id) DO UPDATE SET last_heartbeat = NOW()`,
+      [connectionId, userId, serverId]
+    );
+
+    const result = await client.query(
+      `UPDATE users u SET is_online = true, last_active = NOW()
+       FROM (SELECT is_online AS was_online FROM users WHERE id = $1) previous
+       WHERE u.id = $1
+       RETURNING u.id, u.username, u.location_lat, u.location_lng, u.is_incognito, previous.was_online`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  });
+
+  if (user && !user.was_online) {
+    await broadcastPresence(io, user, 'user:online');
+    await notifyFavoriters(io, user);
+  }
+};
+
+// Remove connections (if given) and mark the user offline if none are left, announcing
+// it. Returns whether the user went offline.
+const markOfflineIfDisconnected = async (io, userId, removeConnections = null) => {
+  const user = await withPresenceLock(userId, async (client) => {
+    if (removeConnections) {
+      await removeConnections(client);
+    }
+
+    const result = await client.query(
+      `UPDATE users SET is_online = false, last_active = NOW()
+       WHERE id = $1
+         AND is_online = true
+         AND NOT EXISTS (SELECT 1 FROM presence_connections pc WHERE pc.user_id = users.id)
+       RETURNING id, location_lat, location_lng, is_incognito`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  });
+
+  if (user) {
+    await broadcastPresence(io, user, 'user:offline');
+  }
+  return user !== null;
+};
+
+// Drop a connection. Announces user:offline only when it was the user's last one.
+export const disconnectPresence = async (io, userId, connectionId) => {
+  await markOfflineIfDisconnected(io, userId, client =>
+    client.query('DELETE FROM presence_connections WHERE id = $1', [connectionId]));
+};
+
+// Drop every connection for a user (e.g. logging out everywhere)
+export const clearPresence = async (io, userId) => {
+  await markOfflineIfDisconnected(io, userId, client =>
+    client.query('DELETE FROM presence_connections WHERE user_id = $1', [userId]));
+};
+
+// Refresh all socket connections held by this process
+export const heartbeatServerPresence = async (serverId = SERVER_ID) => {
+  await query(
+    'UPDATE presence_connections SET last_heartbeat = NOW() WHERE server_id = $1',
+    [serverId]
+  );
+};
+
+// Remove connections that missed their heartbeats, then mark anyone left without a
+// connection offline (this also repairs users stuck online from before a crash)
+export const sweepStalePresence = async (io) => {
+  await query(
+    'DELETE FROM presence_connections WHERE last_heartbeat < NOW() - make_interval(secs => $1)',
+    [PRESENCE_TIMEOUT_MS / 1000]
+  );
+
+  const stuck = await query(
+    `SELECT id FROM users
+     WHERE is_online = true
+       AND NOT EXISTS (SELECT 1 FROM presence_connections pc WHERE pc.user_id = users.id)`
+  );
+
+  let swept = 0;
+  for (const row of stuck.rows) {
+    if (await markOfflineIfDisconnected(io, row.id)) {
+      swept++;
+    }
+  }
+  return swept;
+};
@@ -0,0 +1,86 @@
+import { body } from 'express-validator';
+
+// Optional structured profile fields. Each has a per-field visibility:
+// 'everyone', 'matches' (mutual taps only) or 'hidden'. Only fields visible to everyone
+// can be matched by discovery/search filters, so filtering can't reveal hidden values.
+
+export const BODY_TYPES = ['slim', 'average', 'athletic', 'muscular', 'stocky', 'large'];
+export const POSITIONS = ['top', 'vers_top', 'versatile', 'vers_bottom', 'bottom', 'side'];
+export const RELATIONSHIP_STATUSES = ['single', 'dating', 'partnered', 'married', 'open_relationship', 'its_complicated'];
+export const LOOKING_FOR = ['chat', 'dates', 'friends', 'networking', 'relationship', 'right_now'];
+export const FIELD_VISIBILITY = ['everyone', 'matches', 'hidden'];
+
+// API name -> users column
+export const PROFILE_FIELDS = {
+  height: 'height_cm',
+  weight: 'weight_kg',
+  bodyType: 'body_type',
+  position: 'position',
+  relationshipStatus: 'relationship_status',
+  lookingFor: 'looking_for',
+  pronouns: 'pronouns'
+};
+
+export const PROFILE_FIELD_COLUMNS = Object.values(PROFILE_FIELDS).join(', ') + ', profile_field_visibility';
+
+const oneOf = (values) => `Must be one of: ${values.join(', ')}`;
+
+// Validators for PUT /api/auth/me. null clears a field.
+export const profileFieldValidators = [
+  body('height').optional({ nullable: true }).isInt({ min: 100, max: 250 }).withMessage('Height must be 100-250 cm').toInt(),
+  body('weight').optional({ nullable: true }).isInt({ min: 30, max: 300 }).withMessage('Weight must be 30-300 kg').toInt(),
+  body('bodyType').optional({ nullable: true }).isIn(BODY_TYPES).withMessage(oneOf(BODY_TYPES)),
+  body('position').optional({ nullable: true }).isIn(POSITIONS).withMessage(oneOf(POSITIONS)),
+  body('relationshipStatus').optional({ nullable: true }).isIn(RELATIONSHIP_STATUSES).withMessage(oneOf(RELATIONSHIP_STATUSES)),
+  body('lookingFor').optional({ nullable: true }).isArray({ max: LOOKING_FOR.length })
+    .custom(values => values.every(value => LOOKING_FOR.includes(value))).withMessage(oneOf(LOOKING_FOR))
+    .customSanitizer(values => [...new Set(values)]),
+  body('pronouns').optional({ nullable: true }).trim().isLength({ max: 30 }).withMessage('Pronouns must be at most 30 characters'),
+  body('fieldVisibility').optional().isObject().withMessage('fieldVisibility must be an object')
+    .custom(visibility => Object.entries(visibility).every(([field, value]) =>
+      Object.hasOwn(PROFILE_FIELDS, field) && FIELD_VISIBILITY.includes(value)))
+    .withMessage(`fieldVisibility maps profile fields to one of: ${FIELD_VISIBILITY.join(', ')}`)
+];
+
+// [column, value] pairs for the profile fields present in a request body
+export const profileFieldUpdates = (source) => {
+  return Object.entries(PROFILE_FIELDS)
+    .filter(([field]) => source[field] !== undefined)
+    .map(([field, column]) => {
+      const value = source[field];
+      // Empty strings/lists clear the field like null does
+      const cleared = value === '' || (Array.isArray(value) && value.length === 0);
+      return [column, cleared ? null : value];
+    });
+};
+
+const fieldVisibility = (row, field) => {
+  return (row.profile_field_visibility && row.profile_field_visibility[field]) || 'everyone';
+};
+
+// The profile fields a viewer may see. The owner always sees everything (plus their
+// visibility settings); `isMatch` unlocks 'matches' fields.
+export const publicProfileFields = (row, { isSelf = false, isMatch = false } = {}) => {
+  const fields = {};
+
+  for (const [field, column] of Object.entries(PROFILE_FIELDS)) {
+    const visibility = fieldVisibility(row, field);
+    const visible = isSelf || visibility === 'everyone' || (visibility === 'matches' && isMatch);
+    if (visible && row[column] !== null && row[column] !== undefined) {
+      fields[field] = row[column];
+    }
+  }
+
+  if (isSelf) {
+    fields.fieldVisibility = Object.fromEntries(
+      Object.keys(PROFILE_FIELDS).map(field => [field, fieldVisibility(row, field)])
+    );
+  }
+
+  return fields;
+};
+
+// SQL condition (against the users table) that a field is visible to everyone
+export const fieldIsPublicCondition = (field) => {
+  return `COALESCE(users.profile_field_visibility->>'${field}', 'everyone') = 'everyone'`;
+};
@@ -0,0 +1,27 @@
+import { query } from './db.js';
+
+export const PROFILE_VIEWS_WINDOW_DAYS = parseInt(process.env.PROFILE_VIEWS_WINDOW_DAYS || '30');
+
+// Record that viewerId looked at viewedId. Repeat views on the same day only move
+// the timestamp forward.
+export const recordProfileView = async (viewerId, viewedId) => {
+  if (viewerId === viewedId) {
+    return;
+  }
+
+  await query(
+    `INSERT INTO profile_views (viewer_id, viewed_id)
+     VALUES ($1, $2)
+     ON CONFLICT (viewer_id, viewed_id, view_date) DO UPDATE SET viewed_at = NOW()`,
+    [viewerId, viewedId]
+  );
+};
+
+// Views older than the window are never shown, so drop them
+export const pruneProfileViews = async () => {
+  const result = await query(
+    'DELETE FROM profile_views WHERE viewed_at < NOW() - make_interval(days => $1)',
+    [PROFILE_VIEWS_WINDOW_DAYS]
+  );
+  return result.rowCount;
+};
@@ -0,0 +1,109 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Rate limit stores share one small interface:
+//   increment(key, windowMs) -> { count, resetMs }  count within the current window
+//   set(key, ttlMs)                                   flag a key for ttlMs (used for lockouts)
+//   ttl(key) -> ms                                    remaining time for a key, 0 if absent
+//   del(key)
+
+// Single-process store. Fine for one server instance; use Redis when running several.
+export const createMemoryStore = () => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired entries periodically so the map doesn't grow without bound
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      let entry = live(key);
+      if (!entry) {
+        entry = { count: 0, expiresAt: Date.now() + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count++;
+      return { count: entry.count, resetMs: entry.expiresAt - Date.now() };
+    },
+    set: async (key, ttlMs) => {
+      entries.set(key, { count: 1, expiresAt: Date.now() + ttlMs });
+    },
+    ttl: async (key) => {
+      const entry = live(key);
+      return entry ? entry.expiresAt - Date.now() : 0;
+    },
+    del: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
+
+// Works with any client exposing the ioredis-style commands used below
+export const createRedisStore = (client, prefix = 'ratelimit:') => ({
+  name: 'redis',
+  increment: async (key, windowMs) => {
+    const [[, count], [, ttl]] = await client.multi().incr(prefix + key).pttl(prefix + key).exec();
+    // No TTL yet: a new key, or one whose expiry was never set (e.g. the process died
+    // right after INCR). Either way this window starts now.
+    if (ttl < 0) {
+      await client.pexpire(prefix + key, windowMs);
+      return { count, resetMs: windowMs };
+    }
+    return { count, resetMs: ttl };
+  },
+  set: async (key, ttlMs) => {
+    await client.set(prefix + key, '1', 'PX', ttlMs);
+  },
+  ttl: async (key) => {
+    const ttl = await client.pttl(prefix + key);
+    return ttl > 0 ? ttl : 0;
+  },
+  del: async (key) => {
+    await client.del(prefix + key);
+  }
+});
+
+const createDefaultStore = async () => {
+  if (process.env.REDIS_URL) {
+    const { default: Redis } = await import('ioredis');
+    return createRedisStore(new Redis(process.env.REDIS_URL));
+  }
+  return createMemoryStore();
+};
+
+let storePromise = null;
+
+// Swap the store at runtime (e.g. a shared Redis client or a test double)
+export const setRateLimitStore = (newStore) => {
+  storePromise = Promise.resolve(newStore);
+};
+
+// Uses Redis when REDIS_URL is set (ioredis is loaded lazily), memory otherwise
+export const getRateLimitStore = () => {
+  if (!storePromise) {
+    // Don't cache a failed setup, so the next request tries again
+    storePromise = createDefaultStore().catch(error => {
+      storePromise = null;
+      throw error;
+    });
+  }
+  return storePromise;
+};
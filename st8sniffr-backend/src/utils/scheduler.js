@@ -0,0 +1,28 @@
+// Runs a background job on a fixed interval. A run is skipped if the previous one
+// is still going, and errors are logged rather than crashing the server.
+export const scheduleJob = (name, intervalMs, job) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await job();
+    } catch (error) {
+      console.error(`Scheduled job "${name}" failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  return {
+    run,
+    stop: () => clearInterval(timer)
+  };
+};
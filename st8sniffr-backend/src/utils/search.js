@@ -0,0 +1,25 @@
+// Helpers for ranked user search (users.search_vector + pg_trgm indexes)
+
+// With ?near=true, relevance is divided by (1 + distance / SEARCH_DISTANCE_SCALE_KM),
+// so a result this far away counts half as much as one next door
+export const SEARCH_DISTANCE_SCALE_KM = parseFloat(process.env.SEARCH_DISTANCE_SCALE_KM || '50');
+// Distance assumed for users without a location when weighting by distance
+export const SEARCH_UNKNOWN_DISTANCE_KM = 500;
+// Relevance bonus for users with a matching tag
+export const SEARCH_TAG_BONUS = 0.3;
+
+// Prefix tsquery ("foo:* & bar:*") from free text so results show up while typing.
+// Returns null when the text has no searchable words.
+export const buildPrefixTsquery = (text) => {
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  const unique = [...new Set(words)].slice(0, 8);
+  if (unique.length === 0) {
+    return null;
+  }
+  return unique.map(word => `${word}:*`).join(' & ');
+};
+
+// Escape LIKE wildcards in user input
+export const escapeLike = (text) => {
+  return String(text).replace(/[\\%_]/g, match => `\\${match}`);
+};
@@ -0,0 +1,146 @@
+import { query } from './db.js';
+import { generateSecureToken, hashToken, hashesMatch } from './tokens.js';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+// Anonymous sessions live only as long as the cleanup job keeps idle anonymous accounts
+export const ANONYMOUS_TTL_HOURS = parseInt(process.env.ANONYMOUS_TTL_HOURS || '72');
+
+const sessionTtlHours = (accountType) => {
+  return accountType === 'anonymous' ? ANONYMOUS_TTL_HOURS : REFRESH_TOKEN_TTL_DAYS * 24;
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session row can be found without scanning hashes
+const buildRefreshToken = (sessionId) => {
+  const secret = generateSecureToken(48);
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashToken(secret) };
+};
+
+const describeDevice = (req) => {
+  const deviceName = req.body?.deviceName;
+  if (typeof deviceName === 'string' && deviceName.trim()) {
+    return deviceName.trim().substring(0, 100);
+  }
+  return (req.headers['user-agent'] || 'Unknown device').substring(0, 255);
+};
+
+// Create a new server-side session and return its id plus the refresh token
+export const createSession = async (userId, req, accountType) => {
+  const result = await query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, device, ip_address, expires_at)
+     VALUES ($1, '', $2, $3, NOW() + make_interval(hours => $4))
+     RETURNING id`,
+    [userId, describeDevice(req), req.ip || null, sessionTtlHours(accountType)]
+  );
+
+  const sessionId = result.rows[0].id;
+  const { refreshToken, refreshTokenHash } = buildRefreshToken(sessionId);
+
+  await query('UPDATE sessions SET refresh_token_hash = $1 WHERE id = $2', [refreshTokenHash, sessionId]);
+
+  return { sessionId, refreshToken };
+};
+
+// Exchange a refresh token for a new one. Returns null if the token is invalid.
+export const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !/^[0-9a-f-]{36}$/i.test(sessionId)) {
+    return null;
+  }
+
+  const result = await query(
+    `SELECT s.id, s.user_id, s.refresh_token_hash, u.account_type
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [sessionId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const session = result.rows[0];
+
+  // A mismatched secret means an old refresh token was replayed, so the session is compromised
+  if (!hashesMatch(session.refresh_token_hash, hashToken(secret))) {
+    await revokeSession(session.id);
+    return null;
+  }
+
+  const next = buildRefreshToken(session.id);
+
+  // Only swap the hash if it's still the one we checked. If a concurrent refresh with the
+  // same token got there first, this one is a replay too.
+  const updated = await query(
+    `UPDATE sessions
+     SET refresh_token_hash = $1, ip_address = $2, last_used_at = NOW(),
+         expires_at = NOW() + make_interval(hours => $3)
+     WHERE id = $4 AND refresh_token_hash = $5 AND revoked_at IS NULL`,
+    [next.refreshTokenHash, req.ip || null, sessionTtlHours(session.account_type), session.id, session.refresh_token_hash]
+  );
+
+  if (updated.rowCount === 0) {
+    await revokeSession(session.id);
+    return null;
+  }
+
+  return { sessionId: session.id, userId: session.user_id, refreshToken: next.refreshToken };
+};
+
+export const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const result = await query(
+    'SELECT id FROM sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()',
+    [sessionId, userId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Record activity on a session, at most once every few minutes
+export const touchSession = async (sessionId) => {
+  await query(
+    `UPDATE sessions SET last_used_at = NOW()
+     WHERE id = $1 AND last_used_at < NOW() - INTERVAL '5 minutes'`,
+    [sessionId]
+  );
+};
+
+export const listSessions = async (userId) => {
+  const result = await query(
+    `SELECT id, device, ip_address, created_at, last_used_at, expires_at
+     FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+
+  return result.rows;
+};
+
+// Revoke a single session. When userId is given the session must belong to that user.
+export const revokeSession = async (sessionId, userId = null) => {
+  const result = await query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR user_id = $2)`,
+    [sessionId, userId]
+  );
+
+  return result.rowCount > 0;
+};
+
+// Revoke every session for a user, optionally keeping the one making the request
+export const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  const result = await query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR id != $2)
+     RETURNING id`,
+    [userId, exceptSessionId]
+  );
+
+  return result.rows.map(row => row.id);
+};
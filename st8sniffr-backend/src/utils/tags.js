@@ -0,0 +1,36 @@
+import { query } from './db.js';
+
+export const MAX_PROFILE_TAGS = 20;
+
+// Replace a user's tags. Tag names are expected to be normalized already.
+export const setUserTags = async (userId, tags) => {
+  await query('DELETE FROM user_tags WHERE user_id = $1', [userId]);
+
+  if (tags.length === 0) {
+    return;
+  }
+
+  await query(
+    'INSERT INTO tags (name) SELECT UNNEST($1::text[]) ON CONFLICT (name) DO NOTHING',
+    [tags]
+  );
+
+  await query(
+    `INSERT INTO user_tags (user_id, tag_id)
+     SELECT $1, id FROM tags WHERE name = ANY($2::text[])
+     ON CONFLICT DO NOTHING`,
+    [userId, tags]
+  );
+};
+
+export const getUserTags = async (userId) => {
+  const result = await query(
+    `SELECT t.name FROM user_tags ut
+     JOIN tags t ON t.id = ut.tag_id
+     WHERE ut.user_id = $1
+     ORDER BY t.name`,
+    [userId]
+  );
+
+  return result.rows.map(row => row.name);
+};
@@ -0,0 +1,64 @@
+import { query, getClient } from './db.js';
+
+export const TAP_KINDS = ['tap', 'woof'];
+export const FREE_DAILY_TAPS = parseInt(process.env.FREE_DAILY_TAPS || '10');
+
+// Taps sent in the last 24 hours (re-tapping someone moves their row forward, so each
+// recipient counts once)
+export const countRecentTaps = async (userId) => {
+  const result = await query(
+    `SELECT COUNT(*) FROM taps WHERE sender_id = $1 AND created_at > NOW() - INTERVAL '1 day'`,
+    [userId]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+// Record a tap. There's one row per sender/receiver pair; tapping again refreshes it
+// without marking it unseen again (tap.inserted is false then, and no one is notified).
+// isMatch is true only when this tap is the one that made the interest mutual.
+export const sendTap = async (senderId, receiverId, kind) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    // Serialize taps between the same two users, so when they tap each other at the same
+    // time the second one sees the first and reports the match
+    await client.query(
+      'SELECT pg_advisory_xact_lock(hashtext(LEAST($1::text, $2::text) || GREATEST($1::text, $2::text)))',
+      [senderId, receiverId]
+    );
+
+    const result = await client.query(
+      `INSERT INTO taps (sender_id, receiver_id, kind)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (sender_id, receiver_id)
+       DO UPDATE SET kind = EXCLUDED.kind, created_at = NOW()
+       RETURNING id, sender_id, receiver_id, kind, seen, created_at, (xmax = 0) AS inserted`,
+      [senderId, receiverId, kind]
+    );
+    const tap = result.rows[0];
+
+    let isMatch = false;
+    if (tap.inserted) {
+      const reverse = await client.query(
+        'SELECT 1 FROM taps WHERE sender_id = $1 AND receiver_id = $2',
+        [receiverId, senderId]
+      );
+      isMatch = reverse.rows.length > 0;
+    }
+
+    await client.query('COMMIT');
+    return { tap, isMatch };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// SQL expression that is true when the viewer and the user in `column` have tapped each other
+export const isMatchExpression = (viewerParam, column) => {
+  return `(EXISTS (SELECT 1 FROM taps mt WHERE mt.sender_id = ${viewerParam} AND mt.receiver_id = ${column})
+    AND EXISTS (SELECT 1 FROM taps mr WHERE mr.sender_id = ${column} AND mr.receiver_id = ${viewerParam}))`;
+};
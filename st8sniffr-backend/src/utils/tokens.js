@@ -0,0 +1,18 @@
+import crypto from 'crypto';
+
+// Random opaque token suitable for links and refresh tokens
+export const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Tokens are only ever stored hashed so a database leak doesn't expose usable tokens
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Constant-time comparison of two hex digests
+export const hashesMatch = (expectedHex, actualHex) => {
+  const expected = Buffer.from(expectedHex, 'hex');
+  const actual = Buffer.from(actualHex, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
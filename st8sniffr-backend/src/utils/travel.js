@@ -0,0 +1,63 @@
+import { query } from './db.js';
+import { haversineKm } from './geo.js';
+
+// Travel mode (subscribers only): a virtual discovery location that /nearby uses instead
+// of the device location until it expires. It only counts while the subscription is
+// active, and is cleared when the subscription ends.
+
+export const TRAVEL_DEFAULT_DAYS = 7;
+export const TRAVEL_MAX_DAYS = parseInt(process.env.TRAVEL_MAX_DAYS || '30');
+// Viewers within this distance of a traveller's destination see the "visiting" badge
+export const TRAVEL_BADGE_RADIUS_KM = parseFloat(process.env.TRAVEL_BADGE_RADIUS_KM || '100');
+
+// SQL condition (against the users table) for an active travel location
+const ACTIVE_TRAVEL_CONDITION =
+  'users.travel_expires_at > NOW() AND users.is_subscribed = true AND users.travel_lat IS NOT NULL';
+
+export const getActiveTravel = async (userId) => {
+  const result = await query(
+    `SELECT travel_lat, travel_lng, travel_place, travel_expires_at
+     FROM users WHERE id = $1 AND ${ACTIVE_TRAVEL_CONDITION}`,
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+export const formatTravel = (row) => {
+  if (!row) {
+    return null;
+  }
+  return {
+    location: { lat: row.travel_lat, lng: row.travel_lng },
+    place: row.travel_place,
+    expiresAt: row.travel_expires_at
+  };
+};
+
+// "Visiting <place>" badge for a profile, shown only to viewers near the destination.
+// The destination's coordinates are never exposed, just the place name.
+export const visitingBadge = (user, viewer) => {
+  if (!user.travel_expires_at || new Date(user.travel_expires_at) <= new Date() || !user.is_subscribed ||
+      user.travel_lat === null || viewer.location_lat === null || viewer.location_lat === undefined) {
+    return null;
+  }
+
+  const distance = haversineKm(
+    parseFloat(viewer.location_lat), parseFloat(viewer.location_lng),
+    parseFloat(user.travel_lat), parseFloat(user.travel_lng)
+  );
+  if (distance > TRAVEL_BADGE_RADIUS_KM) {
+    return null;
+  }
+
+  return { place: user.travel_place, until: user.travel_expires_at };
+};
+
+// Clear travel locations that have expired or whose subscription has lapsed
+export const clearExpiredTravel = async () => {
+  const result = await query(
+    `UPDATE users SET travel_lat = NULL, travel_lng = NULL, travel_place = NULL, travel_expires_at = NULL
+     WHERE travel_expires_at IS NOT NULL AND (travel_expires_at <= NOW() OR is_subscribed = false)`
+  );
+  return result.rowCount;
+};
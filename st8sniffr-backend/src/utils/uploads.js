@@ -0,0 +1,13 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const uploadsDir = path.join(__dirname, '../../uploads');
+
+// Map a stored photo URL (".../uploads/<file>") back to its file on disk
+export const photoFilePath = (url) => {
+  const fileName = url.split('/uploads/')[1];
+  return fileName ? path.join(uploadsDir, path.basename(fileName)) : null;
+};